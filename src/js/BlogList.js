@@ -1,284 +1,1148 @@
+import { Pagination } from "./pagination.js";
+import { SearchIndex, highlight } from "./searchIndex.js";
+import { createDataSource } from "./dataSources.js";
+import { normalizeBlogItems } from "./blogSchema.js";
+import { html, toHtmlString, safeUrl, sanitizeHtml } from "./safeHtml.js";
+import {
+  Facets,
+  EMPTY_FACETS,
+  buildFacets,
+  matchesFacets,
+  normalizeFacets,
+} from "./facets.js";
+import { BlogDetail, blogRoute, parseBlogRoute } from "./blogDetail.js";
+import { KeyedList } from "./keyedList.js";
+import { t, formatDate, formatRelativeTime, compareStrings } from "./i18n.js";
+
+/**
+ * Default order for each sort key when none is given.
+ */
+const DEFAULT_SORT_ORDER = {
+  date: "desc",
+  reading_time: "asc",
+  category: "asc",
+};
+
+/**
+ * URL query-string parameter names for each query field.
+ * List fields (categories, tags) repeat their parameter once per value.
+ */
+const URL_PARAMS = {
+  sort: "sort",
+  order: "order",
+  search: "q",
+  categories: "category",
+  tags: "tag",
+  tagMode: "tagmode",
+  from: "from",
+  to: "to",
+  minRead: "minread",
+  maxRead: "maxread",
+};
+
+/**
+ * Older single-value filter parameter; read as a category selection so old links keep working.
+ */
+const LEGACY_FILTER_PARAM = "filter";
+
+/**
+ * localStorage cache settings. Bump CACHE_VERSION when the cached shape changes;
+ * each data source gets its own entry, keyed by version and source id (URL).
+ */
+const CACHE_VERSION = "blogs_cache_v2";
+const LEGACY_CACHE_KEYS = ["blogs_cache_v1"];
+
+/**
+ * Create the error thrown when a load is cancelled.
+ * @returns {DOMException}
+ */
+const abortError = () => new DOMException("Load cancelled", "AbortError");
+
+/**
+ * Tell route listeners (this list and Navigation) that the hash was changed
+ * through the History API, which fires no `hashchange`.
+ */
+const announceRouteChange = () =>
+  window.dispatchEvent(
+    new CustomEvent("route:change", {
+      detail: { hash: window.location.hash },
+    })
+  );
+
 /**
  * BlogList Component
  *
  * This class implements a blog listing UI with support for:
- *   - Fetching blog data from a remote API (with localStorage caching and retry logic)
- *   - Sorting (by date, reading time, or category)
- *   - Filtering (by category or tag)
- *   - Searching (by title or content)
+ *   - Loading blog data from a pluggable data source (remote URL, inline array,
+ *     local fixture or custom loader), with retry logic and a configurable timeout
+ *   - Stale-while-revalidate caching: cached data renders immediately, is refreshed
+ *     in the background, and re-renders only if the data changed
+ *   - An offline / cached-results banner and a manual refresh control
+ *   - A detail view per post at "#/blog/<id>" with prev/next through the current
+ *     results; going back restores the list's scroll position and focus
+ *   - Keyed, incremental DOM updates (cards are reused, not rebuilt), with an
+ *     optional virtualized mode for large feeds and a FLIP reorder animation
+ *   - Escape-by-default rendering (see safeHtml.js), with optional allowlist-sanitized
+ *     rich-text content and custom card templates
+ *   - Normalizing and validating entries (typed dates and reading times, defaults)
+ *   - Sorting (by date, reading time, or category in the locale's order)
+ *   - Data-driven facets: categories and tags (with counts, multi-select, AND/OR),
+ *     published-date and reading-time ranges
+ *   - Ranked, typo-tolerant searching (title, tags, author and content) with match highlighting
+ *   - Pagination (numbered pages, "Load more" or infinite scroll)
  *   - Robust error handling and loading indicators
+ *   - Localized text, dates and numbers (see i18n.js); call render() after a
+ *     `locale:change` to re-render the cards
+ *
+ * Sort, facet filters and search share one query state (see setQuery/getQuery),
+ * always applied in the same order: search, then facet filters, then sort.
+ * With no sort key selected, search results are ordered by relevance.
+ * The query is mirrored in the URL query string, so it survives reloads,
+ * can be shared as a link, and follows the browser back/forward buttons.
  *
  * Usage:
- *   const blogList = new BlogList(document.querySelector("#blog-list"));
+ *   const blogList = new BlogList(document.querySelector("#blog-list"), {
+ *     pagination: "load-more",
+ *     perPage: 10,
+ *     source: "https://example.com/blogs.json",
+ *   });
  *   blogList.init();
  */
 export class BlogList {
   /**
    * @param {HTMLElement} container - The root DOM element containing the blog list and controls.
+   * @param {Object} [options]
+   * @param {"pages"|"load-more"|"infinite"} [options.pagination="load-more"] - Pagination mode.
+   *   Ignored when `virtualize` is set: a virtualized list shows every result.
+   * @param {number} [options.perPage=10] - Number of blogs per page.
+   * @param {string|Array<Object>|Function|Object} [options.source] - Data-source spec (see dataSources.js).
+   *   Defaults to the remote blog API.
+   * @param {(issues: Array<Object>) => void} [options.onDataIssues] - Called with entries that were
+   *   malformed (dropped or given defaults). They are also kept in `dataIssues`.
+   * @param {number} [options.timeout=10000] - Per-request timeout in ms.
+   * @param {number} [options.maxCacheAge=604800000] - Cached data older than this (ms, default 7 days)
+   *   is ignored instead of shown while revalidating.
+   * @param {"text"|"html"} [options.contentType="text"] - Whether `content` is plain text or
+   *   rich text. Rich text is passed through an allowlist-based sanitizer.
+   * @param {(item: Object, helpers: Object) => *} [options.template] - Custom card template.
+   *   Build it with `helpers.html` so values are escaped; see renderItem() for the helpers.
+   * @param {boolean|{estimateHeight?: number, overscan?: number}} [options.virtualize=false] - Only
+   *   mount cards near the viewport (see keyedList.js for the settings).
+   * @param {boolean} [options.animateReorder=false] - Animate cards to their new
+   *   positions when the sort changes (skipped for prefers-reduced-motion).
+   * @param {(item: Object) => boolean} [options.isSaved] - Whether a post is saved (e.g., to a
+   *   reading list); saved cards get a "Saved" badge. Call render() when it changes.
+   * @param {boolean} [options.dragHandle=false] - Give each card a `.drag-handle`, e.g. to drag
+   *   posts onto a reading list (see readingList.js).
    */
-  constructor(container) {
+  constructor(container, options = {}) {
     // Main container and sub-elements for rendering and controls
     this.container = container;
     this.listContainer = container.querySelector(".blog-list-content"); // Where blog items are rendered
     this.loadingIndicator = container.querySelector(".loading-indicator"); // Loading spinner
     this.errorContainer = container.querySelector(".error-container"); // Error message display
+    this.cacheBanner = container.querySelector(".cache-banner"); // Offline / cached results notice
+    this.refreshButton = container.querySelector(".refresh-button"); // Manual refresh control
 
     // UI controls for sorting, filtering, and searching
     this.sortSelect = container.querySelector(".sort-select");
-    this.filterSelect = container.querySelector(".filter-select");
     this.searchInput = container.querySelector(".search-input");
+    this.facetsContainer = container.querySelector(".blog-facets");
+
+    // Where blog data comes from
+    this.dataSource = createDataSource(options.source);
+    this.onDataIssues = options.onDataIssues || null;
+    this.dataIssues = []; // Problems found while normalizing the last load
 
-    // API endpoint for blog data
-    this.apiUrl = "https://frontend-blog-lyart.vercel.app/blogsData.json";
+    // Loading and caching
+    this.timeout = options.timeout > 0 ? options.timeout : 10000;
+    this.maxCacheAge = options.maxCacheAge ?? 7 * 24 * 60 * 60 * 1000;
+    this.abortController = null; // Cancels the in-flight load
+    this.itemsSnapshot = null; // JSON of the normalized items shown, to detect changes
+    this.loaded = false; // Whether the first load has finished and the views are set up
+    this.cachedAt = null; // Timestamp of the cached data shown, or null if fresh
+
+    // Rendering
+    this.contentType = options.contentType === "html" ? "html" : "text";
+    this.template = options.template || null;
+    this.virtualize = Boolean(options.virtualize);
+    this.animateReorder = Boolean(options.animateReorder);
+    this.isSaved = options.isSaved || (() => false);
+    this.dragHandle = Boolean(options.dragHandle);
+    this.renderedSort = null; // Sort key/order of the last render, to detect reorders
+    this.keyedList = new KeyedList(this.listContainer, {
+      key: (item) => item.id,
+      render: (item) => this.renderItem(item),
+      virtual: this.virtualize,
+      ...(typeof options.virtualize === "object" ? options.virtualize : {}),
+    });
+
+    // Detail view routing
+    this.detail = null; // Detail view, created in init()
+    this.listReturn = null; // { scrollY, id } to restore when leaving the detail view
+    this.enteredFromList = false; // Whether the detail route was opened from the list (vs. a deep link)
+    this.documentTitle = document.title;
 
     // Data arrays
     this.items = []; // All fetched blog items
     this.filteredItems = []; // Items after filtering/searching/sorting
 
+    // Search index over all items, rebuilt whenever items change
+    this.searchIndex = new SearchIndex();
+    this.searchMatches = new Map(); // item -> Set of matched terms, for highlighting
+    this.searchPool = []; // Items matching the search text, before facet filters
+
+    // Query state: always applied as search -> facet filters -> sort
+    this.query = { sort: "", order: "asc", search: "", ...EMPTY_FACETS };
+    this.facets = null; // Facet controls, created in init()
+
     // Pagination state
     this.page = 1;
-    this.perPage = 10; // Number of blogs per page
+    this.perPage = options.perPage > 0 ? options.perPage : 10; // Number of blogs per page
+    this.paginationMode = options.pagination || "load-more";
+    this.pagination = null; // Pagination controls, created in init()
 
     // Bind event handler methods to this instance
     this.onSortChange = this.onSortChange.bind(this);
-    this.onFilterChange = this.onFilterChange.bind(this);
+    this.onFacetChange = this.onFacetChange.bind(this);
     this.onSearchInput = this.onSearchInput.bind(this);
+    this.onSearchKeyInput = this.onSearchKeyInput.bind(this);
+    this.onPopState = this.onPopState.bind(this);
+    this.goToPage = this.goToPage.bind(this);
+    this.refresh = this.refresh.bind(this);
+    this.onOnline = this.onOnline.bind(this);
+    this.onRouteChange = this.onRouteChange.bind(this);
+    this.closeDetailRoute = this.closeDetailRoute.bind(this);
+    this.showDetailRoute = this.showDetailRoute.bind(this);
+
+    // Pending debounced search
+    this.searchTimer = null;
   }
 
   /**
-   * Initialize the component: fetch data, set up event listeners, and render.
+   * Initialize the component: restore the query from the URL, set up event
+   * listeners, fetch data, and render.
+   * - Listeners are bound before the first load, so Refresh can retry a failed one.
    */
   async init() {
     try {
+      this.query = this.readQueryFromUrl();
+      this.syncControls();
+      this.setupEventListeners();
       this.showLoading();
       await this.fetchData();
-      this.setupEventListeners();
-      this.render();
+      this.showLoadedItems();
     } catch (err) {
+      // Cancelled by a manual refresh, which takes over the loading state
+      if (err?.name === "AbortError") return;
       this.showError(err);
-    } finally {
-      this.hideLoading();
     }
+    this.hideLoading();
+  }
+
+  /**
+   * After the first successful load: create the facet, pagination and detail
+   * views, render, and open the post in the URL (deep links work on a cold load).
+   */
+  showLoadedItems() {
+    this.loaded = true;
+    this.setupFacets();
+    this.setupPagination();
+    this.setupDetail();
+    this.render();
+    this.handleRoute();
   }
 
   /**
-   * Fetch blog data from the API, with localStorage caching and retry logic.
-   * - Uses a 10-minute cache TTL.
-   * - Retries up to 3 times with exponential backoff on failure.
-   * - On success, populates this.items and this.filteredItems.
+   * Load blog data, stale-while-revalidate.
+   * - If the source is cacheable and has a usable cache entry, shows that right
+   *   away and revalidates in the background (see revalidate()).
+   * - Otherwise waits for the source (see loadFromSource()).
+   * - On success, normalizes the entries and populates this.items (see setItems).
    */
   async fetchData() {
-    const cacheKey = "blogs_cache_v1";
-    const cacheTtlMs = 10 * 60 * 1000; // 10 minutes
+    const cached = this.readCache();
+    if (cached) {
+      this.loadItems(cached.data);
+      this.cachedAt = cached.timestamp;
+      this.revalidate();
+      return;
+    }
+
+    const data = await this.loadFromSource();
+    this.loadItems(data);
+    this.cachedAt = null;
+    this.writeCache(data);
+  }
+
+  /**
+   * Reload from the source in the background and re-render only if the items changed.
+   * On failure (including a malformed feed) keeps the current items and cache entry,
+   * and shows the cached-results banner.
+   * @returns {Promise<void>}
+   */
+  async revalidate() {
+    try {
+      const data = await this.loadFromSource();
+      // Normalize first: a malformed feed throws here, before it's cached
+      const { items, issues } = normalizeBlogItems(data);
+      this.cachedAt = null;
+      this.writeCache(data);
+      this.hideCacheBanner();
+      if (JSON.stringify(items) === this.itemsSnapshot) return;
+      this.useItems(items, issues);
+      this.render();
+    } catch (err) {
+      if (err?.name === "AbortError") return;
+      this.showCacheBanner(err);
+    }
+  }
 
-    // Try to load from cache first
+  /**
+   * Manually reload from the source, cancelling any load in flight.
+   * - Before the first load has finished (e.g., it failed), loads and sets up
+   *   the views like init().
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    this.refreshButton?.setAttribute("aria-busy", "true");
+    if (this.refreshButton) this.refreshButton.disabled = true;
     try {
-      const cached = localStorage.getItem(cacheKey);
-      if (cached) {
-        const parsed = JSON.parse(cached);
-        if (
-          parsed &&
-          Array.isArray(parsed.data) &&
-          Date.now() - parsed.timestamp < cacheTtlMs
-        ) {
-          this.items = parsed.data;
-          this.filteredItems = [...parsed.data];
-          return;
+      if (!this.loaded) {
+        this.errorContainer?.classList.add("hidden");
+        this.showLoading();
+        try {
+          await this.fetchData();
+          this.showLoadedItems();
+        } catch (err) {
+          if (err?.name !== "AbortError") this.showError(err);
+        } finally {
+          this.hideLoading();
         }
+      } else {
+        await this.revalidate();
       }
-    } catch (_) {
-      // Ignore cache errors and proceed to fetch from network
+    } finally {
+      this.refreshButton?.removeAttribute("aria-busy");
+      if (this.refreshButton) this.refreshButton.disabled = false;
     }
+  }
+
+  /**
+   * Load the raw feed from the data source.
+   * - Cancels any previous load still in flight.
+   * - Each attempt is aborted after this.timeout ms.
+   * - Retries up to 3 times with exponential backoff; cancelled loads are not retried.
+   * @returns {Promise<*>} The raw feed
+   * @throws {Error} The last attempt's error, or an AbortError if cancelled.
+   */
+  async loadFromSource() {
+    this.abortController?.abort();
+    const controller = new AbortController();
+    this.abortController = controller;
+    const { signal } = controller;
 
-    // Fetch from network with retry logic
     const maxAttempts = 3;
-    let lastError;
-    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-      try {
-        const res = await fetch(this.apiUrl, { cache: "no-store" });
-        if (!res.ok) throw new Error("Failed to fetch blogs");
-        const data = await res.json();
-        if (!Array.isArray(data)) throw new Error("Unexpected API response");
-        this.items = data;
-        this.filteredItems = [...data];
-        // Save to cache (ignore storage errors)
+    try {
+      for (let attempt = 1; ; attempt++) {
         try {
-          localStorage.setItem(
-            cacheKey,
-            JSON.stringify({ data, timestamp: Date.now() })
-          );
-        } catch (_) {}
-        return;
-      } catch (err) {
-        lastError = err;
-        if (attempt < maxAttempts) {
+          return await this.loadWithTimeout(signal);
+        } catch (err) {
+          if (signal.aborted || attempt >= maxAttempts) throw err;
           // Exponential backoff: 300ms, 600ms, ...
           await new Promise((r) => setTimeout(r, 300 * attempt));
-        } else {
-          throw lastError;
+          if (signal.aborted) throw abortError();
         }
       }
+    } finally {
+      if (this.abortController === controller) this.abortController = null;
     }
   }
 
   /**
-   * Set up event listeners for sorting, filtering, and searching.
+   * Run one data-source load, aborted after this.timeout ms or when `outer` aborts.
+   * Sources that ignore the signal are still abandoned on abort.
+   * @param {AbortSignal} outer
+   * @returns {Promise<*>}
+   * @throws {Error} "Request timed out", an AbortError, or the source's error.
+   */
+  async loadWithTimeout(outer) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, this.timeout);
+    const onOuterAbort = () => controller.abort();
+    outer.addEventListener("abort", onOuterAbort, { once: true });
+
+    try {
+      return await new Promise((resolve, reject) => {
+        controller.signal.addEventListener(
+          "abort",
+          () =>
+            reject(timedOut ? new Error("Request timed out") : abortError()),
+          { once: true }
+        );
+        this.dataSource
+          .load({ signal: controller.signal })
+          .then(resolve, reject);
+      });
+    } finally {
+      clearTimeout(timer);
+      outer.removeEventListener("abort", onOuterAbort);
+    }
+  }
+
+  /**
+   * localStorage key for the current data source.
+   * @returns {string}
+   */
+  get cacheKey() {
+    return `${CACHE_VERSION}:${this.dataSource.id}`;
+  }
+
+  /**
+   * Read the cached raw feed for the current data source.
+   * @returns {{data: Array<*>, timestamp: number}|null} null if not cacheable, missing, too old or unreadable.
+   */
+  readCache() {
+    if (!this.dataSource.cacheable) return null;
+    try {
+      const parsed = JSON.parse(localStorage.getItem(this.cacheKey));
+      if (
+        parsed &&
+        Array.isArray(parsed.data) &&
+        Date.now() - parsed.timestamp < this.maxCacheAge
+      ) {
+        return parsed;
+      }
+    } catch (_) {
+      // Ignore cache errors and load from the source
+    }
+    return null;
+  }
+
+  /**
+   * Cache the raw feed for the current data source (ignores storage errors).
+   * @param {*} data
+   */
+  writeCache(data) {
+    if (!this.dataSource.cacheable) return;
+    try {
+      LEGACY_CACHE_KEYS.forEach((key) => localStorage.removeItem(key));
+      localStorage.setItem(
+        this.cacheKey,
+        JSON.stringify({ data, timestamp: Date.now() })
+      );
+    } catch (_) {}
+  }
+
+  /**
+   * Normalize a raw feed, report malformed entries and use the result as items.
+   * @param {*} data - Raw feed from the data source
+   * @throws {Error} If the feed is not an array.
+   */
+  loadItems(data) {
+    const { items, issues } = normalizeBlogItems(data);
+    this.useItems(items, issues);
+  }
+
+  /**
+   * Use normalized items, reporting the issues found while normalizing them.
+   * @param {Array<Object>} items
+   * @param {Array<Object>} issues
+   */
+  useItems(items, issues) {
+    this.dataIssues = issues;
+    if (issues.length > 0) this.onDataIssues?.(issues);
+    this.itemsSnapshot = JSON.stringify(items);
+    this.setItems(items);
+  }
+
+  /**
+   * Replace all items: rebuild the search index and re-apply the current query.
+   * Does not render.
+   * @param {Array<Object>} items
+   */
+  setItems(items) {
+    this.items = items;
+    this.searchIndex.build(items);
+    this.applyQuery();
+  }
+
+  /**
+   * Set up event listeners for sorting, filtering, searching and history.
    * - Sorting and filtering are handled on "change" events.
    * - Search input is debounced (250ms).
+   * - Browser back/forward restores the query from the URL.
    */
   setupEventListeners() {
     this.sortSelect?.addEventListener("change", this.onSortChange);
-    this.filterSelect?.addEventListener("change", this.onFilterChange);
+    this.searchInput?.addEventListener("input", this.onSearchKeyInput);
+    window.addEventListener("popstate", this.onPopState);
+    window.addEventListener("online", this.onOnline);
+    window.addEventListener("hashchange", this.onRouteChange);
+    window.addEventListener("route:change", this.onRouteChange);
+    this.refreshButton?.addEventListener("click", this.refresh);
+  }
+
+  /**
+   * Remove all event listeners added by setupEventListeners().
+   * Call this when the BlogList instance is no longer needed.
+   */
+  destroy() {
+    clearTimeout(this.searchTimer);
+    this.sortSelect?.removeEventListener("change", this.onSortChange);
+    this.searchInput?.removeEventListener("input", this.onSearchKeyInput);
+    window.removeEventListener("popstate", this.onPopState);
+    window.removeEventListener("online", this.onOnline);
+    window.removeEventListener("hashchange", this.onRouteChange);
+    window.removeEventListener("route:change", this.onRouteChange);
+    this.refreshButton?.removeEventListener("click", this.refresh);
+    this.abortController?.abort();
+    this.pagination?.destroy();
+    this.pagination = null;
+    this.facets?.destroy();
+    this.facets = null;
+    this.detail?.destroy();
+    this.detail = null;
+    this.keyedList.destroy();
+    this.container.classList.remove("is-detail");
+  }
 
-    // Debounce search input to avoid excessive filtering
-    let t;
-    this.searchInput?.addEventListener("input", (e) => {
-      clearTimeout(t);
-      t = setTimeout(() => this.onSearchInput(e), 250);
+  /**
+   * Create the facet controls, if the container has a .blog-facets element.
+   */
+  setupFacets() {
+    if (this.facets || !this.facetsContainer) return;
+    this.facets = new Facets(this.facetsContainer, {
+      onChange: this.onFacetChange,
     });
   }
 
+  /**
+   * Create the pagination controls below the list.
+   */
+  setupPagination() {
+    if (this.pagination || this.virtualize) return;
+    this.pagination = new Pagination(this.container, {
+      mode: this.paginationMode,
+      itemLabel: () => t("blogList.items"),
+      onPageChange: this.goToPage,
+    });
+  }
+
+  /**
+   * Create the (hidden) detail view.
+   */
+  setupDetail() {
+    if (this.detail) return;
+    this.detail = new BlogDetail(this.container, {
+      onBack: this.closeDetailRoute,
+      onNavigate: this.showDetailRoute,
+    });
+  }
+
+  /**
+   * Open or close the detail view to match the current hash.
+   * @param {boolean} [fromList=false] - Whether the route change came from within the page
+   */
+  handleRoute(fromList = false) {
+    if (!this.detail) return;
+    const id = parseBlogRoute(window.location.hash);
+    if (id !== null) this.openDetail(id, fromList);
+    else if (this.detail.isOpen) this.closeDetail();
+  }
+
+  /**
+   * Show a post in the detail view.
+   * - Leaving the list records its scroll position and the post to focus on return.
+   * - Prev/next follow the current filtered and sorted results.
+   * @param {string} id
+   * @param {boolean} fromList - Whether the list is in the history entry behind this one
+   * @param {Object} [options]
+   * @param {boolean} [options.focus=true] - Scroll to the post and focus its heading.
+   */
+  openDetail(id, fromList, { focus = true } = {}) {
+    if (!this.detail.isOpen) {
+      this.listReturn = { scrollY: window.scrollY, id };
+      this.enteredFromList = fromList;
+    } else if (this.listReturn && this.listReturn.id !== id) {
+      // Moved on via prev/next: return to the post last read, not the old scroll position
+      this.listReturn = { scrollY: null, id };
+    }
+
+    const item = this.items.find((it) => it.id === id) || null;
+    const idx = item ? this.filteredItems.indexOf(item) : -1;
+    const prev = idx > 0 ? this.filteredItems[idx - 1] : null;
+    const next = idx >= 0 ? this.filteredItems[idx + 1] || null : null;
+
+    this.container.classList.add("is-detail");
+    this.detail.show(
+      item,
+      {
+        prev,
+        next,
+        content: item ? this.renderFullContent(item) : "",
+        image: item ? safeUrl(item.image, { allowDataImages: true }) : "",
+      },
+      { focus }
+    );
+    document.title = item
+      ? `${item.title} – ${this.documentTitle}`
+      : this.documentTitle;
+  }
+
+  /**
+   * Re-render the open detail view in place (e.g., after a locale change),
+   * keeping focus and the scroll position.
+   */
+  refreshDetail() {
+    const id = parseBlogRoute(window.location.hash);
+    if (this.detail?.isOpen && id !== null)
+      this.openDetail(id, this.enteredFromList, { focus: false });
+  }
+
+  /**
+   * Leave the detail view: show the list again and focus the post last read
+   * (loading more pages if needed to show it). Restores the list's scroll
+   * position if that post is the one originally opened from the list.
+   */
+  closeDetail() {
+    this.detail.hide();
+    this.container.classList.remove("is-detail");
+    document.title = this.documentTitle;
+
+    const { scrollY = null, id = null } = this.listReturn || {};
+    this.listReturn = null;
+    this.enteredFromList = false;
+
+    const idx = this.filteredItems.findIndex((it) => it.id === id);
+    if (idx >= 0) {
+      const page = Math.floor(idx / this.perPage) + 1;
+      const { start, end } = this.pagination
+        ? this.pagination.range(this.page, this.perPage)
+        : { start: 0, end: this.page * this.perPage };
+      if (idx < start || idx >= end) {
+        this.page = page;
+        this.render();
+      }
+    }
+
+    if (scrollY !== null) window.scrollTo(0, scrollY);
+    const card =
+      id === null
+        ? null
+        : scrollY === null
+        ? this.keyedList.reveal(id)
+        : this.keyedList.getNode(id);
+    if (scrollY === null && !this.virtualize)
+      card?.scrollIntoView?.({ block: "center" });
+    card?.focus({ preventScroll: true });
+  }
+
+  /**
+   * Back action from the detail view.
+   * - Opened from the list: go back in history (the list entry restores itself).
+   * - Opened from a deep link: add a list entry instead of leaving the site.
+   */
+  closeDetailRoute() {
+    if (this.enteredFromList) {
+      window.history.back();
+      return;
+    }
+    const url = new URL(window.location.href);
+    url.hash = "";
+    window.history.pushState(null, "", url);
+    announceRouteChange();
+  }
+
+  /**
+   * Show another post (prev/next) in place of the current history entry, so
+   * "back" still returns to the list in one step.
+   * @param {string} id
+   */
+  showDetailRoute(id) {
+    window.history.replaceState(window.history.state, "", blogRoute(id));
+    announceRouteChange();
+  }
+
+  /**
+   * Handle hash changes (link clicks, back/forward, and `route:change` from
+   * Navigation's section links and this list's own history entries) for the
+   * detail route.
+   */
+  onRouteChange() {
+    this.handleRoute(true);
+  }
+
+  /**
+   * Show the given page, then announce the new results and move focus.
+   * - "pages": focus the first blog on the new page.
+   * - "load-more"/"infinite": focus the first newly loaded blog, but only if
+   *   focus was on the pagination controls (infinite scroll leaves it alone).
+   * @param {number} page - 1-based page number
+   */
+  goToPage(page) {
+    if (!this.pagination) return;
+    const previous = this.pagination.range(this.page, this.perPage);
+    const hadFocus = this.pagination.root.contains(document.activeElement);
+
+    this.page = page;
+    this.render();
+
+    const { start, end } = this.pagination.range(this.page, this.perPage);
+    const total = this.filteredItems.length;
+    const shown = Math.min(end, total);
+    const articles = this.listContainer.querySelectorAll(".blog-item");
+
+    if (this.pagination.isCumulative) {
+      const added = shown - previous.end;
+      this.pagination.announce(
+        t("blogList.loadedMore", { count: added, shown, total })
+      );
+      if (hadFocus) articles[previous.end]?.focus();
+    } else {
+      this.pagination.announce(
+        t("blogList.pageStatus", {
+          page,
+          pages: this.pagination.pageCount,
+          start: start + 1,
+          end: shown,
+          total,
+        })
+      );
+      articles[0]?.focus();
+    }
+  }
+
   /**
    * Render the current page of filtered blog items into the DOM.
+   * - In "pages" mode only the current page is shown; otherwise all pages up to it.
+   *   Virtualized lists show every result.
+   * - Cards are reconciled by id, so unchanged cards are kept as-is.
    * - If no items, shows a "No blogs found" message.
+   * - Updates the pagination controls and "Showing X of Y" status.
+   * - Does nothing until the first load has finished (the loading or error
+   *   state is showing).
    */
   render() {
-    const end = this.page * this.perPage;
-    const slice = this.filteredItems.slice(0, end);
-
-    // Render each blog item as an article
-    this.listContainer.innerHTML = slice
-      .map(
-        (item) => `
-                <article class="blog-item">
-                    <img src="${item.image}" alt="" class="blog-image" />
-                    <div class="blog-content">
-                        <h3 class="blog-title">${item.title}</h3>
-                        <div class="blog-meta">
-                            <span class="blog-author">${item.author}</span>
-                            <time class="blog-date">${new Date(
-                              item.published_date
-                            ).toLocaleDateString()}</time>
-                            <span class="blog-reading-time">${
-                              item.reading_time
-                            }</span>
-                        </div>
-                        <p class="blog-excerpt">${item.content}</p>
-                        <div class="blog-tags">${(item.tags || [])
-                          .map((t) => `<span class="tag">${t}</span>`)
-                          .join("")}</div>
-                    </div>
-                </article>
-        `
-      )
-      .join("");
+    if (!this.loaded) return;
+    const { start, end } = this.virtualize
+      ? { start: 0, end: this.filteredItems.length }
+      : this.pagination
+      ? this.pagination.range(this.page, this.perPage)
+      : { start: 0, end: this.page * this.perPage };
+    const slice = this.filteredItems.slice(start, end);
+
+    // Animate only when the sort changed since the last render
+    const sort = `${this.query.sort}:${this.query.order}`;
+    const animate =
+      this.animateReorder &&
+      this.renderedSort !== null &&
+      sort !== this.renderedSort;
+    this.renderedSort = sort;
+
+    // Render each blog item as an article, reusing existing cards
+    this.keyedList.update(slice, { animate });
 
     // Show "no results" if nothing to display
     if (slice.length === 0) {
-      this.listContainer.innerHTML = '<p class="no-results">No blogs found</p>';
+      this.listContainer.insertAdjacentHTML(
+        "beforeend",
+        toHtmlString(html`<p class="no-results">${t("blogList.noResults")}</p>`)
+      );
     }
+
+    this.facets?.update(
+      buildFacets(this.items, this.searchPool, normalizeFacets(this.query))
+    );
+    this.pagination?.update({
+      page: this.page,
+      perPage: this.perPage,
+      total: this.filteredItems.length,
+    });
   }
 
   /**
-   * Handle sort dropdown changes.
-   * - Sorts filteredItems in-place by the selected criterion.
-   * - Supported: date (newest first), reading_time (ascending), category (A-Z).
-   * - Resets to first page and re-renders.
-   * @param {Event} e
+   * Get a copy of the current query state.
+   * @returns {Object} sort, order, search and the facet fields (see facets.js)
    */
-  onSortChange(e) {
-    const by = e.target?.value || "";
-    const items = [...this.filteredItems];
-
-    // Helper to parse reading time (e.g., "5 min read" -> 5)
-    const parseMinutes = (val) => {
-      if (typeof val === "number") return val;
-      if (typeof val === "string") {
-        const m = val.match(/(\d+)(?=\s*min)/i) || val.match(/\d+/);
-        return m ? parseInt(m[1], 10) : Number.MAX_SAFE_INTEGER;
-      }
-      return Number.MAX_SAFE_INTEGER;
+  getQuery() {
+    const query = { ...this.query };
+    query.categories = [...query.categories];
+    query.tags = [...query.tags];
+    return query;
+  }
+
+  /**
+   * Update the query state and re-apply it.
+   * - Merges the given fields into the current query.
+   * - Picking a sort key without an order uses that key's default order.
+   * - A legacy single `filter` value is treated as a category selection.
+   * - Syncs the sort/search controls, resets to the first page and re-renders.
+   * - Records the query in the URL: "push" adds a history entry, "replace"
+   *   updates the current one, false leaves the URL alone.
+   * @param {Object} next - Any of sort, order, search and the facet fields
+   * @param {{history?: "push"|"replace"|false}} [options]
+   */
+  setQuery(next = {}, { history = "push" } = {}) {
+    const merged = { ...this.query, ...next };
+    if ("filter" in next) merged.categories = next.filter ? [next.filter] : [];
+
+    const query = {
+      sort: (merged.sort || "").toString(),
+      order: merged.order,
+      search: (merged.search || "").toString(),
+      ...normalizeFacets(merged),
+    };
+    if ("sort" in next && !("order" in next)) {
+      query.order = DEFAULT_SORT_ORDER[query.sort] || "asc";
+    }
+    query.order = query.order === "desc" ? "desc" : "asc";
+
+    this.query = query;
+    if (history) this.writeQueryToUrl(history === "replace");
+    this.syncControls();
+    this.applyQuery();
+    this.page = 1;
+    this.render();
+  }
+
+  /**
+   * Read the query state from the URL query string.
+   * Missing parameters fall back to their defaults.
+   * @returns {Object} A full query (see getQuery())
+   */
+  readQueryFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const sort = params.get(URL_PARAMS.sort) || "";
+    const order =
+      params.get(URL_PARAMS.order) || DEFAULT_SORT_ORDER[sort] || "asc";
+    const categories = params.getAll(URL_PARAMS.categories);
+    if (params.get(LEGACY_FILTER_PARAM))
+      categories.push(params.get(LEGACY_FILTER_PARAM));
+
+    return {
+      sort,
+      order: order === "desc" ? "desc" : "asc",
+      search: (params.get(URL_PARAMS.search) || "").trim(),
+      ...normalizeFacets({
+        categories,
+        tags: params.getAll(URL_PARAMS.tags),
+        tagMode: params.get(URL_PARAMS.tagMode),
+        from: params.get(URL_PARAMS.from),
+        to: params.get(URL_PARAMS.to),
+        minRead: params.get(URL_PARAMS.minRead),
+        maxRead: params.get(URL_PARAMS.maxRead),
+      }),
+    };
+  }
+
+  /**
+   * Write the current query state to the URL query string.
+   * - Empty fields and default values are left out to keep links short.
+   * - Unrelated query parameters and the hash are preserved.
+   * - Does nothing if the URL would not change.
+   * @param {boolean} [replace=false] - Replace the current history entry instead of pushing one.
+   */
+  writeQueryToUrl(replace = false) {
+    const url = new URL(window.location.href);
+    const { sort, order, tagMode } = this.query;
+    const values = {
+      ...this.query,
+      order: sort && order !== (DEFAULT_SORT_ORDER[sort] || "asc") ? order : "",
+      tagMode: tagMode === EMPTY_FACETS.tagMode ? "" : tagMode,
+    };
+    url.searchParams.delete(LEGACY_FILTER_PARAM);
+    Object.entries(URL_PARAMS).forEach(([field, param]) => {
+      url.searchParams.delete(param);
+      const value = values[field];
+      (Array.isArray(value) ? value : [value]).forEach((v) => {
+        if (v !== null && v !== undefined && v !== "")
+          url.searchParams.append(param, v);
+      });
+    });
+    if (url.href === window.location.href) return;
+
+    try {
+      if (replace) window.history.replaceState(window.history.state, "", url);
+      else window.history.pushState(null, "", url);
+    } catch (_) {
+      // History API unavailable (e.g., sandboxed iframe); keep working without it
+    }
+  }
+
+  /**
+   * Rebuild filteredItems from all items using the current query.
+   * Always applied in the same order: search, then facet filters, then sort.
+   * The search results are kept in searchPool for facet counts.
+   */
+  applyQuery() {
+    const facets = normalizeFacets(this.query);
+    this.searchPool = this.searchItems(this.items, this.query.search);
+    const items = this.searchPool.filter((it) => matchesFacets(it, facets));
+    this.filteredItems = this.sortItems(
+      items,
+      this.query.sort,
+      this.query.order
+    );
+  }
+
+  /**
+   * Reflect the current query in the sort/search controls.
+   * Facet controls are updated on render().
+   */
+  syncControls() {
+    if (this.sortSelect) this.sortSelect.value = this.query.sort;
+    if (this.searchInput && this.searchInput.value.trim() !== this.query.search)
+      this.searchInput.value = this.query.search;
+  }
+
+  /**
+   * Keep items matching the search text, ranked by relevance.
+   * - Matches title, tags, author and content via the search index
+   *   (case/accent-insensitive, prefix and typo-tolerant).
+   * - Records the matched terms per item in searchMatches for highlighting.
+   * @param {Array<Object>} items
+   * @param {string} search
+   * @returns {Array<Object>}
+   */
+  searchItems(items, search) {
+    this.searchMatches = new Map();
+    if (!search.trim()) return items;
+
+    const allowed = new Set(items);
+    return this.searchIndex
+      .search(search)
+      .filter(({ item }) => allowed.has(item))
+      .map(({ item, terms }) => {
+        this.searchMatches.set(item, terms);
+        return item;
+      });
+  }
+
+  /**
+   * Render text with the current search matches wrapped in <mark>.
+   * @param {Object} item
+   * @param {*} text
+   * @returns {string}
+   */
+  highlightText(item, text) {
+    return html`${highlight(text, this.searchMatches.get(item)).map((seg) =>
+      seg.match ? html`<mark>${seg.text}</mark>` : seg.text
+    )}`;
+  }
+
+  /**
+   * Render an item's content: escaped plain text, or sanitized rich text
+   * when contentType is "html". Search matches are highlighted either way.
+   * @param {Object} item
+   * @returns {SafeHtml}
+   */
+  renderContent(item) {
+    if (this.contentType !== "html")
+      return this.highlightText(item, item.content);
+    return sanitizeHtml(item.content, {
+      mapText: (text) => this.highlightText(item, text),
+    });
+  }
+
+  /**
+   * Render an item's full content for the detail view: sanitized rich text when
+   * contentType is "html", else escaped text split into paragraphs on blank lines.
+   * @param {Object} item
+   * @returns {SafeHtml}
+   */
+  renderFullContent(item) {
+    if (this.contentType === "html") return sanitizeHtml(item.content);
+    return html`${item.content
+      .split(/\n\s*\n/)
+      .filter((para) => para.trim())
+      .map((para) => html`<p>${para.trim()}</p>`)}`;
+  }
+
+  /**
+   * Render one blog card to an HTML string.
+   * Uses options.template if given, else defaultTemplate(). Template results that
+   * are not built with `html` are escaped, so a custom template can't inject markup.
+   * Helpers passed to templates:
+   *   - html:      escaping tagged template
+   *   - highlight: (text) => text with search matches wrapped in <mark>
+   *   - content:   rendered content (escaped or sanitized, highlighted)
+   *   - image:     item.image if it has a safe URL scheme, else ""
+   *   - href:      link to the post's detail route
+   *   - saved:     whether the post is saved (see options.isSaved)
+   *   - handle:    the card's drag handle, or "" (see options.dragHandle)
+   * @param {Object} item
+   * @returns {string}
+   */
+  renderItem(item) {
+    const helpers = {
+      html,
+      highlight: (text) => this.highlightText(item, text),
+      content: this.renderContent(item),
+      image: safeUrl(item.image, { allowDataImages: true }),
+      href: blogRoute(item.id),
+      saved: Boolean(this.isSaved(item)),
+      handle: this.dragHandle
+        ? html`<span
+            class="drag-handle"
+            aria-label="${t("blogList.saveHandle", { title: item.title })}"
+            >⋮</span
+          >`
+        : "",
     };
+    const template = this.template || this.defaultTemplate.bind(this);
+    return toHtmlString(template(item, helpers));
+  }
+
+  /**
+   * Default blog card markup.
+   * @param {Object} item
+   * @param {Object} helpers - See renderItem()
+   * @returns {SafeHtml}
+   */
+  defaultTemplate(item, { highlight, content, image, href, saved, handle }) {
+    return html`
+      <article class="blog-item" data-id="${item.id}" tabindex="-1">
+        ${image ? html`<img src="${image}" alt="" class="blog-image" />` : ""}
+        <div class="blog-content">
+          <h3 class="blog-title">
+            <a class="blog-link" href="${href}">${highlight(item.title)}</a>
+          </h3>
+          <div class="blog-meta">
+            <span class="blog-author">${item.author}</span>
+            ${item.published_date
+              ? html`<time
+                  class="blog-date"
+                  datetime="${item.published_date.toISOString()}"
+                  title="${formatRelativeTime(item.published_date)}"
+                  >${formatDate(item.published_date)}</time
+                >`
+              : ""}
+            ${item.reading_time !== null
+              ? html`<span class="blog-reading-time"
+                  >${t("common.readingTime", {
+                    count: item.reading_time,
+                  })}</span
+                >`
+              : ""}
+            ${saved
+              ? html`<span class="blog-saved-badge"
+                  >${t("blogList.saved")}</span
+                >`
+              : ""}
+          </div>
+          ${this.contentType === "html"
+            ? html`<div class="blog-excerpt">${content}</div>`
+            : html`<p class="blog-excerpt">${content}</p>`}
+          <div class="blog-tags">
+            ${item.tags.map((t) => html`<span class="tag">${t}</span>`)}
+          </div>
+        </div>
+        ${handle}
+      </article>
+    `;
+  }
+
+  /**
+   * Return a sorted copy of items.
+   * - Supported keys: date, reading_time, category.
+   * - An empty key keeps the incoming order (e.g., search relevance).
+   * @param {Array<Object>} items
+   * @param {string} by
+   * @param {"asc"|"desc"} order
+   * @returns {Array<Object>}
+   */
+  sortItems(items, by, order) {
+    const sorted = [...items];
+    const dir = order === "desc" ? -1 : 1;
 
     switch (by) {
       case "date":
-        // Sort by published date, newest first
-        items.sort(
-          (a, b) => new Date(b.published_date) - new Date(a.published_date)
+        // Undated items sort last
+        sorted.sort(
+          (a, b) =>
+            (a.published_date === null) - (b.published_date === null) ||
+            dir * (a.published_date - b.published_date)
         );
         break;
       case "reading_time":
-        // Sort by reading time (ascending)
-        items.sort(
-          (a, b) => parseMinutes(a.reading_time) - parseMinutes(b.reading_time)
+        // Items without a reading time sort last
+        sorted.sort(
+          (a, b) =>
+            (a.reading_time === null) - (b.reading_time === null) ||
+            dir * (a.reading_time - b.reading_time)
         );
         break;
       case "category":
-        // Sort alphabetically by category
-        items.sort((a, b) => {
-          const ac = (a.category || "").toString().toLowerCase();
-          const bc = (b.category || "").toString().toLowerCase();
-          return ac.localeCompare(bc);
-        });
+        // In the current locale's alphabetical order
+        sorted.sort((a, b) => dir * compareStrings(a.category, b.category));
         break;
       default:
-        // No sorting (original order)
-        items.sort((a, b) => 0);
+      // No sorting (incoming order)
     }
-    this.filteredItems = items;
-    this.page = 1;
-    this.render();
+    return sorted;
   }
 
   /**
-   * Handle filter dropdown changes.
-   * - Filters items by category or tag (case-insensitive).
-   * - If no filter selected, shows all items.
-   * - Resets to first page and re-renders.
+   * Handle sort dropdown changes.
+   * - Supported: date (newest first), reading_time (ascending), category
+   *   (alphabetical for the current locale).
    * @param {Event} e
    */
-  onFilterChange(e) {
-    const val = (e.target?.value || "").toString(); // e.g., "Gadgets" | "Startups" | "Writing" | ''
-    if (!val) {
-      // No filter: show all items
-      this.filteredItems = [...this.items];
-    } else {
-      const needle = val.toLowerCase();
-      this.filteredItems = this.items.filter((it) => {
-        const category = (it.category || "").toString().toLowerCase();
-        const tags = Array.isArray(it.tags)
-          ? it.tags.map((t) => t.toString().toLowerCase())
-          : [];
-        // Match either category or any tag
-        return category === needle || tags.includes(needle);
-      });
-    }
-    this.page = 1;
-    this.render();
+  onSortChange(e) {
+    this.setQuery({ sort: e.target?.value || "" });
+  }
+
+  /**
+   * Handle facet control changes.
+   * @param {Object} change - Facet fields that changed (see facets.js)
+   */
+  onFacetChange(change) {
+    this.setQuery(change);
+  }
+
+  /**
+   * Debounce search input to avoid excessive filtering.
+   * @param {Event} e
+   */
+  onSearchKeyInput(e) {
+    clearTimeout(this.searchTimer);
+    this.searchTimer = setTimeout(() => this.onSearchInput(e), 250);
   }
 
   /**
    * Handle search input.
-   * - Filters items by title or content (case-insensitive substring match).
-   * - If search is cleared, re-applies current filter selection.
-   * - Resets to first page and re-renders.
+   * - Filters and ranks items via the search index (see searchItems).
+   * - Starting or clearing a search adds a history entry; refining an
+   *   existing search replaces it, so back doesn't step through every keystroke.
    * @param {Event} e
    */
   onSearchInput(e) {
-    const q = (e.target?.value || "").toString().trim().toLowerCase();
-    if (!q) {
-      // If query cleared, respect current filter dropdown selection
-      const fakeEvent = { target: this.filterSelect };
-      this.onFilterChange(fakeEvent);
-    } else {
-      this.filteredItems = this.items.filter((it) => {
-        const title = (it.title || "").toString().toLowerCase();
-        const content = (it.content || "").toString().toLowerCase();
-        return title.includes(q) || content.includes(q);
-      });
-    }
-    this.page = 1;
-    this.render();
+    const search = (e.target?.value || "").toString().trim();
+    if (search === this.query.search) return;
+    const history = search && this.query.search ? "replace" : "push";
+    this.setQuery({ search }, { history });
+  }
+
+  /**
+   * Revalidate when the connection comes back while showing cached data.
+   */
+  onOnline() {
+    if (this.cachedAt !== null) this.revalidate();
+  }
+
+  /**
+   * Handle browser back/forward: restore the query recorded in the URL.
+   */
+  onPopState() {
+    const query = this.readQueryFromUrl();
+    // Hash-only history steps (e.g., the detail route) leave the query alone
+    if (JSON.stringify(query) === JSON.stringify(this.query)) return;
+    this.setQuery(query, { history: false });
   }
 
   /**
@@ -295,6 +1159,31 @@ export class BlogList {
     this.loadingIndicator?.classList.add("hidden");
   }
 
+  /**
+   * Show the "offline / showing cached results" banner.
+   * Does nothing unless the items shown came from the cache.
+   * @param {Error} [err] - Why the refresh failed
+   */
+  showCacheBanner(err) {
+    if (!this.cacheBanner || this.cachedAt === null) return;
+    const when = formatRelativeTime(this.cachedAt);
+    const offline = navigator.onLine === false;
+    this.cacheBanner.textContent = offline
+      ? t("blogList.offline", { when })
+      : t("blogList.refreshFailed", {
+          reason: err?.message || t("blogList.unknownError"),
+          when,
+        });
+    this.cacheBanner.classList.remove("hidden");
+  }
+
+  /**
+   * Hide the cached-results banner.
+   */
+  hideCacheBanner() {
+    this.cacheBanner?.classList.add("hidden");
+  }
+
   /**
    * Display an error message in the error container.
    * @param {Error} err
@@ -302,6 +1191,8 @@ export class BlogList {
   showError(err) {
     if (!this.errorContainer) return;
     this.errorContainer.classList.remove("hidden");
-    this.errorContainer.textContent = `Error: ${err.message}`;
+    this.errorContainer.textContent = t("blogList.error", {
+      message: err.message,
+    });
   }
 }
@@ -0,0 +1,205 @@
+import { html, toHtmlString } from "./safeHtml.js";
+import { t, formatDate, formatRelativeTime } from "./i18n.js";
+
+/**
+ * Blog detail routes look like "#/blog/<id>" (id is URI-encoded).
+ */
+const ROUTE_PREFIX = "#/blog/";
+
+/**
+ * Build the hash for a post's detail route.
+ * @param {string} id
+ * @returns {string}
+ */
+export const blogRoute = (id) => `${ROUTE_PREFIX}${encodeURIComponent(id)}`;
+
+/**
+ * Extract the post id from a hash, or null if it isn't a detail route.
+ * @param {string} hash - e.g., window.location.hash
+ * @returns {string|null}
+ */
+export const parseBlogRoute = (hash) => {
+  if (!hash || !hash.startsWith(ROUTE_PREFIX)) return null;
+  try {
+    return decodeURIComponent(hash.slice(ROUTE_PREFIX.length)) || null;
+  } catch (_) {
+    return null;
+  }
+};
+
+let instanceCount = 0;
+
+/**
+ * BlogDetail Component
+ *
+ * Renders a single post (image, meta, tags and full content) with a back action
+ * and previous/next links. Routing, scroll and focus restoration are handled by
+ * the owner (BlogList); this class only renders and reports user actions.
+ *
+ * Usage:
+ *   const detail = new BlogDetail(host, { onBack, onNavigate });
+ *   detail.show(item, { prev, next, content, image });
+ *   detail.hide();
+ */
+export class BlogDetail {
+  /**
+   * @param {HTMLElement} host - Element the detail view is appended to.
+   * @param {Object} [options]
+   * @param {() => void} [options.onBack] - Called when the back action is used.
+   * @param {(id: string) => void} [options.onNavigate] - Called when a prev/next link is used.
+   */
+  constructor(host, options = {}) {
+    /** @private */
+    this.onBack = options.onBack || (() => {});
+    /** @private */
+    this.onNavigate = options.onNavigate || (() => {});
+
+    this.root = document.createElement("article");
+    this.root.className = "blog-detail";
+    this.root.hidden = true;
+    /** @private */
+    this.titleId = `blog-detail-title-${++instanceCount}`;
+    this.root.setAttribute("aria-labelledby", this.titleId);
+    host.appendChild(this.root);
+
+    this.onClick = this.onClick.bind(this);
+    this.root.addEventListener("click", this.onClick);
+  }
+
+  /**
+   * Whether the detail view is showing.
+   * @returns {boolean}
+   */
+  get isOpen() {
+    return !this.root.hidden;
+  }
+
+  /**
+   * Render and show a post, then move focus to its heading.
+   * @param {Object|null} item - Normalized blog item, or null if not found
+   * @param {Object} [parts]
+   * @param {Object|null} [parts.prev] - Previous item in the current list
+   * @param {Object|null} [parts.next] - Next item in the current list
+   * @param {*} [parts.content] - Rendered content (SafeHtml)
+   * @param {string} [parts.image] - Safe image URL, or ""
+   * @param {Object} [options]
+   * @param {boolean} [options.focus=true] - Scroll to the view and focus its heading
+   *   (off to re-render it in place, e.g. after a locale change).
+   */
+  show(
+    item,
+    { prev = null, next = null, content = "", image = "" } = {},
+    { focus = true } = {}
+  ) {
+    const back = html`<button type="button" class="blog-detail-back">
+      ${t("blogDetail.back")}
+    </button>`;
+
+    this.root.innerHTML = toHtmlString(
+      item
+        ? html`
+            ${back}
+            ${image
+              ? html`<img src="${image}" alt="" class="blog-detail-image" />`
+              : ""}
+            <h2 id="${this.titleId}" class="blog-detail-title" tabindex="-1">
+              ${item.title}
+            </h2>
+            <div class="blog-meta">
+              ${item.author
+                ? html`<span class="blog-author">${item.author}</span>`
+                : ""}
+              ${item.published_date
+                ? html`<time
+                    class="blog-date"
+                    datetime="${item.published_date.toISOString()}"
+                    title="${formatRelativeTime(item.published_date)}"
+                    >${formatDate(item.published_date)}</time
+                  >`
+                : ""}
+              ${item.reading_time !== null
+                ? html`<span class="blog-reading-time"
+                    >${t("common.readingTime", {
+                      count: item.reading_time,
+                    })}</span
+                  >`
+                : ""}
+            </div>
+            <div class="blog-tags">
+              ${item.tags.map((t) => html`<span class="tag">${t}</span>`)}
+            </div>
+            <div class="blog-detail-content">${content}</div>
+            <nav
+              class="blog-detail-pager"
+              aria-label="${t("blogDetail.pager")}"
+            >
+              ${prev
+                ? html`<a
+                    class="blog-detail-prev"
+                    href="${blogRoute(prev.id)}"
+                    data-id="${prev.id}"
+                    rel="prev"
+                    >${t("blogDetail.prev", { title: prev.title })}</a
+                  >`
+                : html`<span></span>`}
+              ${next
+                ? html`<a
+                    class="blog-detail-next"
+                    href="${blogRoute(next.id)}"
+                    data-id="${next.id}"
+                    rel="next"
+                    >${t("blogDetail.next", { title: next.title })}</a
+                  >`
+                : ""}
+            </nav>
+          `
+        : html`
+            ${back}
+            <h2 id="${this.titleId}" class="blog-detail-title" tabindex="-1">
+              ${t("blogDetail.notFound")}
+            </h2>
+            <p>${t("blogDetail.notFoundText")}</p>
+          `
+    );
+
+    this.root.hidden = false;
+    if (!focus) return;
+    this.root.scrollIntoView?.({ block: "start" });
+    this.root
+      .querySelector(".blog-detail-title")
+      ?.focus({ preventScroll: true });
+  }
+
+  /**
+   * Hide the detail view.
+   */
+  hide() {
+    this.root.hidden = true;
+    this.root.innerHTML = "";
+  }
+
+  /**
+   * Handle the back button and prev/next links.
+   * @param {MouseEvent} e
+   * @private
+   */
+  onClick(e) {
+    if (e.target.closest?.(".blog-detail-back")) {
+      this.onBack();
+      return;
+    }
+    const link = e.target.closest?.(".blog-detail-prev, .blog-detail-next");
+    // Let modified clicks (new tab/window) through
+    if (!link || e.ctrlKey || e.metaKey || e.shiftKey || e.button > 0) return;
+    e.preventDefault();
+    this.onNavigate(link.dataset.id);
+  }
+
+  /**
+   * Remove the view and its listeners.
+   */
+  destroy() {
+    this.root.removeEventListener("click", this.onClick);
+    this.root.remove();
+  }
+}
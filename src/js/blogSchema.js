@@ -0,0 +1,220 @@
+/**
+ * Blog item schema: normalization and validation.
+ *
+ * Raw feed entries are converted into a predictable shape before BlogList
+ * sorts, searches or renders them:
+ *
+ *   {
+ *     id: string,                 // from id/slug, else derived from the title; unique
+ *     title: string,
+ *     author: string,             // default: ""
+ *     content: string,            // default: ""
+ *     image: string,              // default: ""
+ *     category: string,           // default: ""
+ *     tags: string[],             // accepts an array or a comma-separated string
+ *     published_date: Date|null,  // null if missing or unparseable
+ *     reading_time: number|null,  // minutes; null if missing or unparseable
+ *   }
+ *
+ * Entries that cannot be shown at all (not an object, or no title) are dropped;
+ * fixable problems fall back to defaults. Both are reported as issues, so one bad
+ * entry never fails the whole list.
+ */
+
+/**
+ * @typedef {Object} BlogItem
+ * @property {string} id
+ * @property {string} title
+ * @property {string} author
+ * @property {string} content
+ * @property {string} image
+ * @property {string} category
+ * @property {string[]} tags
+ * @property {Date|null} published_date
+ * @property {number|null} reading_time - Minutes
+ */
+
+/**
+ * @typedef {Object} SchemaIssue
+ * @property {number} index - Position of the entry in the raw feed
+ * @property {string} field - Offending field, or "*" for the whole entry
+ * @property {string} message
+ * @property {boolean} dropped - Whether the entry was left out of the list
+ */
+
+/** Reading time units, in minutes. A number without a unit is minutes. */
+const TIME_UNITS = {
+  h: 60,
+  hr: 60,
+  hrs: 60,
+  hour: 60,
+  hours: 60,
+  m: 1,
+  min: 1,
+  mins: 1,
+  minute: 1,
+  minutes: 1,
+  s: 1 / 60,
+  sec: 1 / 60,
+  secs: 1 / 60,
+  second: 1 / 60,
+  seconds: 1 / 60,
+};
+
+/**
+ * Parse a reading time into minutes.
+ * Accepts numbers and strings such as "5 min read", "5", "1h 20m", "1.5 hours"
+ * or "45 sec". Any non-zero time is at least a minute.
+ * @param {*} val
+ * @returns {number|null} Minutes, or null if it can't be parsed (including unknown units).
+ */
+export const parseReadingTime = (val) => {
+  if (typeof val === "number")
+    return Number.isFinite(val) && val >= 0 ? val : null;
+  if (typeof val !== "string") return null;
+
+  const parts = Array.from(val.matchAll(/(\d+(?:\.\d+)?)\s*([a-z]*)/gi));
+  if (parts.length === 0) return null;
+  let total = 0;
+  for (const [, amount, unit] of parts) {
+    const scale = unit ? TIME_UNITS[unit.toLowerCase()] : 1;
+    if (scale === undefined) return null;
+    total += parseFloat(amount) * scale;
+  }
+  return total > 0 ? Math.max(1, Math.round(total)) : 0;
+};
+
+/**
+ * Parse a publish date.
+ * @param {*} val - Date, ISO string or timestamp
+ * @returns {Date|null}
+ */
+export const parseDate = (val) => {
+  if (val === null || val === undefined || val === "") return null;
+  const date = val instanceof Date ? new Date(val.getTime()) : new Date(val);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Build a URL-friendly id from text (e.g., "Hello, World!" -> "hello-world").
+ * @param {string} text
+ * @returns {string}
+ */
+const slugify = (text) =>
+  text
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+/**
+ * Coerce a value to a trimmed string.
+ * @param {*} val
+ * @returns {string}
+ */
+const toText = (val) =>
+  val === null || val === undefined ? "" : val.toString().trim();
+
+/**
+ * Normalize a single raw entry.
+ * @param {*} raw
+ * @param {number} index
+ * @param {(issue: Omit<SchemaIssue, "index">) => void} report
+ * @returns {BlogItem|null} null if the entry must be dropped.
+ */
+const normalizeItem = (raw, index, report) => {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    report({ field: "*", message: "Entry is not an object", dropped: true });
+    return null;
+  }
+
+  const title = toText(raw.title);
+  if (!title) {
+    report({ field: "title", message: "Missing title", dropped: true });
+    return null;
+  }
+
+  const tags = Array.isArray(raw.tags)
+    ? raw.tags.map(toText).filter(Boolean)
+    : typeof raw.tags === "string"
+    ? raw.tags.split(",").map(toText).filter(Boolean)
+    : [];
+  if (
+    raw.tags !== undefined &&
+    !Array.isArray(raw.tags) &&
+    typeof raw.tags !== "string"
+  )
+    report({ field: "tags", message: "Tags must be a list", dropped: false });
+
+  const published_date = parseDate(raw.published_date);
+  if (published_date === null && raw.published_date !== undefined)
+    report({
+      field: "published_date",
+      message: `Invalid date "${raw.published_date}"`,
+      dropped: false,
+    });
+
+  const reading_time = parseReadingTime(raw.reading_time);
+  if (reading_time === null && raw.reading_time !== undefined)
+    report({
+      field: "reading_time",
+      message: `Invalid reading time "${raw.reading_time}"`,
+      dropped: false,
+    });
+
+  return {
+    id: toText(raw.id) || toText(raw.slug) || slugify(title) || String(index),
+    title,
+    author: toText(raw.author),
+    content: toText(raw.content),
+    image: toText(raw.image),
+    category: toText(raw.category),
+    tags,
+    published_date,
+    reading_time,
+  };
+};
+
+/**
+ * Normalize and validate a raw feed.
+ * - Drops entries that can't be shown and fills defaults for the rest.
+ * - Makes ids unique by suffixing duplicates ("post", "post-2", ...), skipping
+ *   suffixed ids the feed already uses.
+ * @param {*} data - Raw feed; must be an array
+ * @returns {{items: BlogItem[], issues: SchemaIssue[]}}
+ * @throws {Error} If the feed itself is not an array.
+ */
+export const normalizeBlogItems = (data) => {
+  if (!Array.isArray(data)) throw new Error("Unexpected API response");
+
+  const issues = [];
+  const seenIds = new Set();
+  // Next suffix to try for each duplicated id
+  const nextSuffix = new Map();
+  const items = [];
+
+  data.forEach((raw, index) => {
+    const item = normalizeItem(raw, index, (issue) =>
+      issues.push({ index, ...issue })
+    );
+    if (!item) return;
+
+    if (seenIds.has(item.id)) {
+      issues.push({
+        index,
+        field: "id",
+        message: `Duplicate id "${item.id}"`,
+        dropped: false,
+      });
+      let suffix = nextSuffix.get(item.id) || 2;
+      while (seenIds.has(`${item.id}-${suffix}`)) suffix++;
+      nextSuffix.set(item.id, suffix + 1);
+      item.id = `${item.id}-${suffix}`;
+    }
+    seenIds.add(item.id);
+    items.push(item);
+  });
+
+  return { items, issues };
+};
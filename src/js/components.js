@@ -0,0 +1,192 @@
+/**
+ * Component registry: declarative mounting for elements marked with `data-component`.
+ *
+ *   <div class="blog-list-container" data-component="blog-list" data-per-page="5">
+ *
+ *   registerComponent("blog-list", {
+ *     create: (element, options) => new BlogList(element, options),
+ *     start: (list) => list.init(),
+ *   });
+ *   mount(document); // mounts every registered component found
+ *   getComponent(element); // -> the BlogList instance
+ *   unmount(fragment); // destroys the components inside before the fragment is removed
+ *
+ * Options come from the element's other `data-*` attributes (camelCased by
+ * `dataset`, e.g. `data-per-page` -> `perPage`). Values are parsed as JSON where
+ * possible, so "5" is a number, "true" a boolean and `{"estimateHeight": 200}` an
+ * object; anything else stays a string.
+ *
+ * Each component is mounted in isolation: if its name isn't registered, or its
+ * `create` or `start` throws (or `start` rejects), a bubbling `component:error`
+ * event is dispatched from its element with `detail: { name, phase, error }`, and
+ * the other components still mount.
+ */
+
+/**
+ * @typedef {Object} ComponentDefinition
+ * @property {(element: HTMLElement, options: Object) => Object} create - Build the instance
+ * @property {(instance: Object) => (void|Promise<void>)} [start] - Start it (e.g., call `init()`)
+ * @property {(instance: Object) => void} [destroy] - Tear it down; defaults to `instance.destroy()`
+ */
+
+/** @type {Map<string, ComponentDefinition>} */
+const definitions = new Map();
+
+/** @type {Map<HTMLElement, {name: string, instance: Object}>} */
+const mounted = new Map();
+
+/**
+ * Register a component type under the name used in `data-component`.
+ * @param {string} name
+ * @param {ComponentDefinition} definition
+ */
+export const registerComponent = (name, definition) => {
+  definitions.set(name, definition);
+};
+
+/**
+ * Parse a `data-*` value into an option value.
+ * @param {string} value
+ * @returns {*}
+ */
+const parseOption = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch (_) {
+    return value;
+  }
+};
+
+/**
+ * Read a component's options from its element's `data-*` attributes.
+ * @param {HTMLElement} element
+ * @returns {Object}
+ */
+export const readOptions = (element) => {
+  const options = {};
+  Object.entries(element.dataset).forEach(([key, value]) => {
+    if (key !== "component") options[key] = parseOption(value);
+  });
+  return options;
+};
+
+/**
+ * Dispatch `component:error` from a component's element.
+ * @param {HTMLElement} element
+ * @param {string} name
+ * @param {"create"|"start"|"destroy"} phase
+ * @param {*} error
+ */
+const reportError = (element, name, phase, error) => {
+  element.dispatchEvent(
+    new CustomEvent("component:error", {
+      bubbles: true,
+      detail: { name, phase, error },
+    })
+  );
+};
+
+/**
+ * Elements with `data-component` in (or being) a root, in document order.
+ * @param {Document|HTMLElement} root
+ * @returns {HTMLElement[]}
+ */
+const componentElements = (root) => {
+  const elements = Array.from(root.querySelectorAll("[data-component]"));
+  if (
+    root.nodeType === Node.ELEMENT_NODE &&
+    root.hasAttribute("data-component")
+  )
+    elements.unshift(root);
+  return elements;
+};
+
+/**
+ * Mount one element's component, unless it's already mounted.
+ * @param {HTMLElement} element
+ * @returns {Object|null} The instance, or null if it failed or isn't registered
+ */
+const mountElement = (element) => {
+  if (mounted.has(element)) return mounted.get(element).instance;
+
+  const name = element.dataset.component;
+  const definition = definitions.get(name);
+  if (!definition) {
+    reportError(
+      element,
+      name,
+      "create",
+      new Error(`No component registered as "${name}".`)
+    );
+    return null;
+  }
+
+  let instance;
+  try {
+    instance = definition.create(element, readOptions(element));
+  } catch (error) {
+    reportError(element, name, "create", error);
+    return null;
+  }
+  mounted.set(element, { name, instance });
+
+  if (definition.start) {
+    try {
+      Promise.resolve(definition.start(instance)).catch((error) =>
+        reportError(element, name, "start", error)
+      );
+    } catch (error) {
+      reportError(element, name, "start", error);
+    }
+  }
+  return instance;
+};
+
+/**
+ * Mount every registered component in a root (including the root itself).
+ * Already-mounted elements are skipped, so this is safe to call again after
+ * adding markup.
+ * @param {Document|HTMLElement} [root=document]
+ * @returns {Object[]} The instances mounted in the root
+ */
+export const mount = (root = document) =>
+  componentElements(root).map(mountElement).filter(Boolean);
+
+/**
+ * Destroy the components in a root (including the root itself), innermost first.
+ * Call this before removing or replacing a fragment of the page.
+ * @param {Document|HTMLElement} [root=document]
+ */
+export const unmount = (root = document) => {
+  Array.from(mounted.keys())
+    .filter((element) => root === element || root.contains(element))
+    .reverse()
+    .forEach((element) => {
+      const { name, instance } = mounted.get(element);
+      mounted.delete(element);
+      const definition = definitions.get(name);
+      try {
+        if (definition?.destroy) definition.destroy(instance);
+        else instance.destroy?.();
+      } catch (error) {
+        reportError(element, name, "destroy", error);
+      }
+    });
+};
+
+/**
+ * The component instance mounted on an element.
+ * @param {HTMLElement} element
+ * @returns {Object|null}
+ */
+export const getComponent = (element) => mounted.get(element)?.instance || null;
+
+/**
+ * All mounted instances of a component type, in mount order.
+ * @param {string} name
+ * @returns {Object[]}
+ */
+export const getComponents = (name) =>
+  Array.from(mounted.values())
+    .filter((entry) => entry.name === name)
+    .map((entry) => entry.instance);
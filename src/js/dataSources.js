@@ -0,0 +1,121 @@
+/**
+ * Data-source adapters for BlogList.
+ *
+ * A data source is an object with an async `load({ signal })` that resolves to the
+ * raw feed (an array of entries, normalized later by blogSchema.js). The
+ * AbortSignal lets BlogList cancel or time out a load. `createDataSource()`
+ * turns any of these specs into one:
+ *
+ *   "https://example.com/blogs.json"             // remote JSON URL
+ *   { type: "url", url: "https://..." }          // same, explicit
+ *   [{ title: "..." }, ...]                      // inline array
+ *   { type: "inline", items: [...] }             // same, explicit
+ *   { type: "fixture", path: "fixtures/x.json" } // local file, relative to the page
+ *   async ({ signal }) => [...]                  // custom loader
+ *   { type: "custom", load: async () => [...] }  // same, explicit
+ *
+ * Only remote URL sources are `cacheable`; inline, fixture and custom sources
+ * always load fresh so local edits show up immediately.
+ */
+
+/** Default remote feed. */
+export const DEFAULT_BLOG_URL =
+  "https://frontend-blog-lyart.vercel.app/blogsData.json";
+
+/**
+ * @typedef {Object} DataSource
+ * @property {string} type - "url" | "inline" | "fixture" | "custom"
+ * @property {string} id - Identifies the source (e.g., its URL), used for caching
+ * @property {boolean} cacheable - Whether results may be cached in localStorage
+ * @property {(options?: {signal?: AbortSignal}) => Promise<*>} load - Resolves to the raw feed
+ */
+
+/**
+ * Fetch and parse JSON from a URL.
+ * @param {string} url
+ * @param {RequestInit} [init]
+ * @returns {Promise<*>}
+ */
+const fetchJson = async (url, init) => {
+  const res = await fetch(url, init);
+  if (!res.ok) throw new Error(`Failed to fetch blogs (HTTP ${res.status})`);
+  return res.json();
+};
+
+/**
+ * Create a remote JSON URL source.
+ * @param {string} url
+ * @returns {DataSource}
+ */
+export const urlSource = (url) => ({
+  type: "url",
+  id: url,
+  cacheable: true,
+  load: ({ signal } = {}) => fetchJson(url, { cache: "no-store", signal }),
+});
+
+/**
+ * Create an inline array source.
+ * Entries are copied on load so normalization never mutates the caller's array.
+ * @param {Array<Object>} items
+ * @returns {DataSource}
+ */
+export const inlineSource = (items) => ({
+  type: "inline",
+  id: "inline",
+  cacheable: false,
+  load: async () => (Array.isArray(items) ? [...items] : items),
+});
+
+/**
+ * Create a local fixture file source, resolved relative to the current page.
+ * @param {string} path
+ * @returns {DataSource}
+ */
+export const fixtureSource = (path) => {
+  const url = new URL(path, document.baseURI).href;
+  return {
+    type: "fixture",
+    id: url,
+    cacheable: false,
+    load: ({ signal } = {}) => fetchJson(url, { signal }),
+  };
+};
+
+/**
+ * Create a custom loader source.
+ * @param {(options: {signal?: AbortSignal}) => Promise<*>} load
+ * @param {string} [id="custom"]
+ * @returns {DataSource}
+ */
+export const customSource = (load, id = "custom") => ({
+  type: "custom",
+  id,
+  cacheable: false,
+  load: async ({ signal } = {}) => load({ signal }),
+});
+
+/**
+ * Turn a data-source spec into a DataSource.
+ * @param {string|Array<Object>|Function|Object} [spec] - See the module comment; defaults to DEFAULT_BLOG_URL.
+ * @returns {DataSource}
+ * @throws {TypeError} If the spec isn't recognized.
+ */
+export const createDataSource = (spec = DEFAULT_BLOG_URL) => {
+  if (typeof spec === "string") return urlSource(spec);
+  if (Array.isArray(spec)) return inlineSource(spec);
+  if (typeof spec === "function") return customSource(spec);
+
+  switch (spec?.type) {
+    case "url":
+      return urlSource(spec.url);
+    case "inline":
+      return inlineSource(spec.items);
+    case "fixture":
+      return fixtureSource(spec.path);
+    case "custom":
+      return customSource(spec.load, spec.id);
+    default:
+      throw new TypeError(`Unknown blog data source: ${JSON.stringify(spec)}`);
+  }
+};
@@ -1,174 +1,1783 @@
-// This implementation has issues with event handling and touch support
+import { t, getLocale, isRtl } from "./i18n.js";
+
 /**
- * DragDrop class - Approach and Limitations
+ * DragDrop class
+ *
+ * Sortable drag-and-drop for elements with the `.draggable-item` class. Items can be reordered inside, and
+ * moved between, any of the containers: the source `.draggable-list`(s) and the `.drop-zone`s.
+ *
+ * Each instance is scoped to a root element (`new DragDrop(root, options)`) and only manages the items and
+ * containers inside it, so several boards can share a page (a nested board's elements belong to the nested
+ * instance). Selectors are configurable through `options.selectors`. Items and containers added to or
+ * removed from the root later are picked up automatically (MutationObserver); `addItem()`/`removeItem()`
+ * do the same explicitly.
+ *
+ * 1. **Pointer drag** (mouse, pen and touch share one engine built on Pointer Events):
+ *    - Mouse/pen drags start once the pointer moves past a small threshold, so plain clicks still work.
+ *    - Touch drags start after a long press, so swiping over items still scrolls the page. Pressing the
+ *      `.drag-handle` starts a touch drag straight away (the handle has `touch-action: none`).
+ *    - A floating ghost copy of the item follows the pointer using transforms, and a `.drag-placeholder`
+ *      shows where it will land; the item itself is hidden until the drop.
+ *    - The container under the pointer gets the `drop-hover` class as the pointer moves. Outside every
+ *      container the placeholder returns to the item's original position.
+ *    - Near the top/bottom edge of the viewport the page auto-scrolls, faster the closer the pointer gets.
+ *    - `pointercancel` (e.g., the browser took over the gesture) and Escape cancel the drag, leaving the item
+ *      where it was.
+ *    - Native HTML5 drag events are not used; items are marked `draggable="false"`.
+ *    - With `options.handleOnly`, drags start only from the item's `.drag-handle`, which takes the item's
+ *      place as the focusable control below. The item keeps its own semantics and text selection, so
+ *      items can hold links and other controls (e.g., blog cards).
+ *
+ * 2. **Accessibility**:
+ *    - Items are given `role="button"`, `tabindex="0"` and `aria-describedby` pointing at visually hidden usage instructions.
+ *    - Keyboard drag-and-drop: Space/Enter picks the focused item up, Up/Down move it one position (continuing
+ *      into the next/previous container), Left/Right move it to the end of the previous/next container,
+ *      Enter/Space drops it, and Escape or Tab cancels, returning it to its origin. The current container gets
+ *      a visible `drop-target` outline. In right-to-left layouts Left/Right are swapped.
+ *    - Each step is announced through a polite ARIA live region ("Item 2 grabbed", "Drop zone 1 of 2,
+ *      position 1 of 1", "Dropped"). Instructions and announcements are translated (see i18n.js).
  *
- * This implementation provides basic drag-and-drop functionality for elements with the `.draggable-item` class
- * and drop zones with the `.drop-zone` class. The approach is as follows:
+ * 3. **Multi-select**:
+ *    - Ctrl/Cmd-click toggles an item's selection, Shift-click selects a range within a container, and a
+ *      plain click clears the selection. From the keyboard, Ctrl/Cmd+Space toggles, Shift+Space selects a
+ *      range and Escape clears. Selected items get the `selected` class.
+ *    - Dragging a selected item moves the whole selection, in document order, as one group: the pointer
+ *      ghost becomes a stack with a count badge, and the group lands together at the drop position.
+ *    - Rules apply to the whole group (every item must be accepted, and the group must fit), and a group
+ *      move is reported as a single move.
  *
- * 1. **Event Handling**:
- *    - For mouse and desktop browsers, standard HTML5 drag-and-drop events (`dragstart`, `dragend`, `dragover`, `dragenter`, `dragleave`, `drop`)
- *      are used to manage the drag state and move items between drop zones.
- *    - For touch and pointer devices, `pointerdown` and `pointerup` events are used to simulate drag-and-drop behavior,
- *      since native HTML5 drag events are not well supported on touch devices.
- *    - The code attempts to track the currently dragged item and its origin zone in the `state` object.
- *    - Event listeners are dynamically bound and unbound for both items and zones, and are tracked in the `bound` maps for cleanup.
+ * 4. **Drop rules**:
+ *    - `data-accepts="a b"` on a container only accepts items whose `data-type` lists one of those types
+ *      (missing or "*" accepts anything).
+ *    - `data-capacity="n"` on a container holds at most n items.
+ *    - `options.onBeforeDrop(detail)` can veto a drop by returning `false`.
+ *    - A container that refuses the dragged item gets the `drop-reject` class while hovered (and briefly
+ *      after a refused drop); the item goes back to where it came from. Keyboard moves skip containers
+ *      that refuse the item.
  *
- * 2. **Touch Support and Limitations**:
- *    - The implementation tries to support touch devices by using pointer events, but this is only a partial solution.
- *    - There is no long-press detection or drag image for touch, and the drag operation is triggered immediately on pointer down.
- *    - The drop target is determined on `pointerup` by checking the element under the pointer, which may not always be reliable.
- *    - There is no support for multi-touch or more advanced gestures.
- *    - Some mobile browsers may not fully support pointer events or may have quirks with capturing/releasing pointers.
+ * 5. **Events** (bubbling CustomEvents; containers and indexes count `.draggable-item` children; `item` is
+ *    the item the drag started from and `items` the whole group, in order):
+ *    - `dragdrop:start` from the item: `{ item, items, from, fromIndex }`.
+ *    - `dragdrop:enter` from a container the item moves over: `{ item, items, container, accepted }`.
+ *    - `dragdrop:drop` from the target container and `dragdrop:move` from the item, for every completed
+ *      move that changes the layout: `{ item, items, from, fromIndex, to, toIndex }`.
+ *    - `dragdrop:reject` from a container that refused a drop: `{ ..., reason }` where reason is
+ *      "type", "capacity" or "vetoed".
+ *    - `dragdrop:cancel` from the item when a drag is abandoned: `{ item, items, from, fromIndex }`.
  *
- * 3. **Accessibility**:
- *    - Items are given `role="button"` and `tabindex="0"` for basic keyboard accessibility, but keyboard drag-and-drop is not implemented.
+ * 6. **Copy sources**:
+ *    - Items dragged out of a container marked `data-drop-effect="copy"` are copied: the original stays put
+ *      and `options.copyItem(item)` (default: a clone with a fresh `data-id`) is dropped instead. Copy
+ *      sources are never drop targets, so their own order can't be changed by dragging.
+ *    - By keyboard, picking up an item in a copy source places its copy in the first container that accepts
+ *      it, and the copy is moved from there; cancelling removes it again.
+ *    - Events for copies carry `copy: true` and `originals` (the items that were copied); `item`/`items` are
+ *      the copies. Copy sources are not part of the layout state, and copies are not undoable (remove them
+ *      with `removeItem()`).
  *
- * 4. **Other Notes**:
- *    - The `safeAppend` method prevents self-nesting of items.
- *    - The `destroy` method ensures all event listeners are properly removed and state is reset.
+ * 7. **Layout state**:
+ *    - Items are identified by `data-id` and containers by `data-container-id` (both are generated from
+ *      document order when missing). `getState()` returns `{ [containerId]: [itemId, ...] }` and
+ *      `setState()` arranges the DOM to match.
+ *    - With `options.storageKey`, the layout is saved to localStorage after every change and restored on init.
+ *    - Moves can be undone/redone with `undo()`/`redo()`, or Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z (or Ctrl+Y)
+ *      while focus is inside one of the containers.
+ *    - Every layout change (drops, undo/redo, `setState()`, `addItem()`/`removeItem()`) dispatches
+ *      `dragdrop:change` from the root with `{ state }`.
  *
- * **Known Issues**:
- *    - Touch support is incomplete and may not work consistently across all devices/browsers.
- *    - There is no visual feedback for touch drag, and no support for keyboard-based drag-and-drop.
- *    - Dragging may feel unintuitive on mobile due to lack of long-press or drag image.
- *    - The implementation is best suited for simple desktop use cases.
+ * 8. **Other Notes**:
+ *    - `insertAt`/`safeAppend` prevent self-nesting of items.
+ *    - The `destroy` method ensures all event listeners are properly removed, items get back the attributes
+ *      they had before init, and state is reset.
+ *    - Only one pointer drives a drag at a time; other pointers are ignored until it ends.
+ *    - Clicks on links and buttons inside an item keep their own behavior (they don't change the selection).
+ *    - Items are named in announcements by their `selectors.label` element (default `.item-content`).
  */
+
+/** Distance (px) a mouse/pen must move before a drag starts. */
+const DRAG_THRESHOLD = 5;
+/** How long (ms) a touch must be held before a drag starts. */
+const LONG_PRESS_DELAY = 400;
+/** Distance (px) a touch may drift during the long press; beyond it the gesture is a scroll. */
+const LONG_PRESS_TOLERANCE = 10;
+/** Distance (px) from the viewport edge where auto-scroll kicks in. */
+const AUTO_SCROLL_EDGE = 60;
+/** Maximum auto-scroll speed (px per frame). */
+const AUTO_SCROLL_MAX_SPEED = 18;
+/** How long (ms) a container keeps the `drop-reject` class after a refused drop. */
+const REJECT_FLASH_DURATION = 600;
+/** Number of moves kept for undo. */
+const HISTORY_LIMIT = 50;
+
+/** Default selectors; override any of them with `options.selectors`. */
+const DEFAULT_SELECTORS = {
+  item: ".draggable-item",
+  list: ".draggable-list",
+  zone: ".drop-zone",
+  handle: ".drag-handle",
+  label: ".item-content",
+};
+
+/** Interactive descendants whose clicks aren't item clicks. */
+const INTERACTIVE_SELECTOR = "a[href], button, input, select, textarea";
+
+/** Attributes bindItem() sets on an item; unbindItem() puts back their original values. */
+const ITEM_ATTRIBUTES = [
+  "draggable",
+  "role",
+  "tabindex",
+  "aria-pressed",
+  "aria-describedby",
+];
+
+/** Attribute marking an instance's root, so nested boards stay separate. */
+const ROOT_ATTRIBUTE = "data-dragdrop-root";
+
+/**
+ * Return `${prefix}-n` for the smallest n >= 1 not already taken.
+ * @param {string} prefix
+ * @param {Set<string>} taken
+ * @returns {string}
+ */
+const uniqueId = (prefix, taken) => {
+  let n = 1;
+  while (taken.has(`${prefix}-${n}`)) n++;
+  return `${prefix}-${n}`;
+};
+
+let instanceCount = 0;
+
 export class DragDrop {
-  constructor() {
+  /**
+   * @param {Element|Document} [root=document] - Element containing this board's items and containers.
+   * @param {Object} [options]
+   * @param {Object} [options.selectors] - Override any of `{ item, list, zone, handle, label }`.
+   * @param {(detail: Object) => boolean|void} [options.onBeforeDrop] - Called with
+   *   `{ item, items, from, fromIndex, to, toIndex }` before a drop; return false to veto it.
+   * @param {string} [options.storageKey] - localStorage key to persist the layout under.
+   * @param {(item: Element) => Element} [options.copyItem] - Build the element dropped when an item
+   *   is dragged out of a copy source.
+   * @param {boolean} [options.handleOnly=false] - Drag items only by their handle (`selectors.handle`),
+   *   which gets the button role and focus instead of the item. Items without a handle aren't draggable.
+   */
+  constructor(root = document, options = {}) {
+    this.root = root;
+    if (root !== document) root.setAttribute(ROOT_ATTRIBUTE, "");
+    this.selectors = { ...DEFAULT_SELECTORS, ...options.selectors };
+    this.onBeforeDrop = options.onBeforeDrop || null;
+    this.storageKey = options.storageKey || null;
+    this.copyItemOption = options.copyItem || null;
+    this.handleOnly = Boolean(options.handleOnly);
+    // Layout snapshots for undo/redo, and the one taken when the current drag started
+    this.history = { past: [], future: [] };
+    this.snapshot = null;
     this.state = {
       isDragging: false,
       currentItem: null,
       originZone: null,
     };
-    this.items = Array.from(document.querySelectorAll(".draggable-item"));
-    this.dropZones = Array.from(document.querySelectorAll(".drop-zone"));
-    this.bound = { items: new Map(), zones: new Map() };
+    // Keyboard drag in progress, the position the item was picked up from, and the
+    // items copied when it started in a copy source
+    this.keyboard = { active: false, origin: null, originals: null };
+    // Items moving in the current drag (the selection, or just the dragged item)
+    this.group = [];
+    this.selection = new Set();
+    this.selectionAnchor = null;
+    this.items = this.query(this.selectors.item);
+    this.lists = this.query(this.selectors.list);
+    this.dropZones = this.query(this.selectors.zone);
+    this.observer = null;
+    // Pointer drag in progress (pending until the threshold/long press is met)
+    this.pointer = null;
+    this.bound = { items: new Map() };
+    this.instructionsId = `dragdrop-instructions-${++instanceCount}`;
+
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+    this.onPointerCancel = this.onPointerCancel.bind(this);
+    this.onDocumentKeyDown = this.onDocumentKeyDown.bind(this);
+    this.onTouchMove = this.onTouchMove.bind(this);
+    this.onHistoryKeyDown = this.onHistoryKeyDown.bind(this);
+    this.autoScroll = this.autoScroll.bind(this);
+    this.onMutation = this.onMutation.bind(this);
+  }
+
+  /**
+   * Elements matching a selector that belong to this instance: inside the root,
+   * but not inside a nested board or a drag ghost.
+   * @param {string} selector
+   * @returns {Element[]}
+   * @private
+   */
+  query(selector) {
+    return Array.from(this.root.querySelectorAll(selector)).filter((el) =>
+      this.owns(el)
+    );
+  }
+
+  /**
+   * Whether an element belongs to this instance.
+   * @param {Element} el
+   * @returns {boolean}
+   * @private
+   */
+  owns(el) {
+    if (!el.isConnected || el.closest(".drag-ghost")) return false;
+    if (this.root !== document && !this.root.contains(el)) return false;
+    const board = el.parentElement?.closest(`[${ROOT_ATTRIBUTE}]`) || document;
+    return board === this.root;
+  }
+
+  /**
+   * The element that is focused and pressed for an item: its handle with
+   * `options.handleOnly`, else the item itself.
+   * @param {Element} item
+   * @returns {Element|null} null if the item has no handle
+   * @private
+   */
+  controlFor(item) {
+    return this.handleOnly ? item.querySelector(this.selectors.handle) : item;
+  }
+
+  /**
+   * Focus an item's control without scrolling.
+   * @param {Element} item
+   * @private
+   */
+  focusItem(item) {
+    this.controlFor(item)?.focus({ preventScroll: true });
+  }
+
+  /**
+   * Every container items can be dropped into: the source lists, then the zones.
+   * @returns {Element[]}
+   */
+  get containers() {
+    return [...this.lists, ...this.dropZones];
   }
 
   init() {
     if (!Array.isArray(this.items) || !Array.isArray(this.dropZones)) return;
 
-    // Bind item events
-    this.items.forEach((item) => {
-      if (!(item instanceof Element)) return;
-      item.setAttribute("draggable", "true");
-      item.setAttribute("role", "button");
-      item.setAttribute("tabindex", "0");
-
-      const onDragStart = (e) => {
-        this.state.isDragging = true;
-        this.state.currentItem = item;
-        this.state.originZone = item.closest(".drop-zone");
-        item.classList.add("dragging");
-        try {
-          e.dataTransfer?.setData("text/plain", "");
-        } catch (_) {}
-      };
-      const onDragEnd = () => {
-        this.state.isDragging = false;
-        this.state.currentItem = null;
-        this.state.originZone = null;
-        item.classList.remove("dragging");
-      };
-
-      // Pointer/touch fallback: allow long-press drag simulation
-      let pointerId = null;
-      const onPointerDown = (e) => {
-        if (e.button !== undefined && e.button !== 0) return;
-        pointerId = e.pointerId ?? null;
-        item.setPointerCapture?.(pointerId);
-        this.state.isDragging = true;
-        this.state.currentItem = item;
-        this.state.originZone = item.closest(".drop-zone");
-        item.classList.add("dragging");
-      };
-      const onPointerUp = (e) => {
-        if (!this.state.isDragging) return;
-        item.releasePointerCapture?.(pointerId);
-        const dropTarget = document.elementFromPoint(e.clientX, e.clientY);
-        const zone = dropTarget?.closest?.(".drop-zone");
-        if (zone) this.safeAppend(zone, item);
-        onDragEnd();
-      };
-
-      item.addEventListener("dragstart", onDragStart);
-      item.addEventListener("dragend", onDragEnd);
-      item.addEventListener("pointerdown", onPointerDown);
-      item.addEventListener("pointerup", onPointerUp);
-
-      this.bound.items.set(item, {
-        onDragStart,
-        onDragEnd,
-        onPointerDown,
-        onPointerUp,
+    this.buildAnnouncer();
+    this.containers.forEach((container) => this.prepareContainer(container));
+    this.items.forEach((item) => this.bindItem(item));
+
+    // Stops the page scrolling under an active touch drag (must not be passive)
+    document.addEventListener("touchmove", this.onTouchMove, {
+      passive: false,
+    });
+    document.addEventListener("keydown", this.onHistoryKeyDown);
+
+    this.observer = new MutationObserver(this.onMutation);
+    this.observer.observe(
+      this.root === document ? document.documentElement : this.root,
+      { childList: true, subtree: true }
+    );
+
+    const saved = this.readStoredState();
+    if (saved) this.setState(saved, { record: false });
+  }
+
+  /**
+   * Give a container a stable `data-container-id` if it has none.
+   * @param {Element} container
+   * @private
+   */
+  prepareContainer(container) {
+    if (container.dataset.containerId) return;
+    const isZone = this.dropZones.includes(container);
+    const taken = new Set(this.containers.map((c) => c.dataset.containerId));
+    container.dataset.containerId = uniqueId(isZone ? "zone" : "list", taken);
+  }
+
+  /**
+   * Make an item draggable (no-op if already bound).
+   * @param {Element} item
+   * @private
+   */
+  bindItem(item) {
+    if (!(item instanceof Element) || this.bound.items.has(item)) return;
+    if (!item.dataset.id) {
+      const taken = new Set(this.items.map((el) => el.dataset.id));
+      item.dataset.id = uniqueId("item", taken);
+    }
+    const control = this.controlFor(item);
+    if (!control) return;
+    const attributes = new Map(
+      ITEM_ATTRIBUTES.map((name) => [name, control.getAttribute(name)])
+    );
+    control.setAttribute("draggable", "false");
+    control.setAttribute("role", "button");
+    control.setAttribute("tabindex", "0");
+    control.setAttribute("aria-pressed", "false");
+    control.setAttribute("aria-describedby", this.instructionsId);
+
+    const onPointerDown = (e) => this.onPointerDown(e, item);
+    const onKeyDown = (e) => this.handleKeyDown(e, item);
+    const onClick = (e) => this.onItemClick(e, item);
+
+    control.addEventListener("pointerdown", onPointerDown);
+    control.addEventListener("keydown", onKeyDown);
+    control.addEventListener("click", onClick);
+
+    this.bound.items.set(item, {
+      control,
+      onPointerDown,
+      onKeyDown,
+      onClick,
+      attributes,
+    });
+  }
+
+  /**
+   * Remove an item's listeners and restore the attributes bindItem() changed.
+   * @param {Element} item
+   * @private
+   */
+  unbindItem(item) {
+    const handlers = this.bound.items.get(item);
+    if (!handlers) return;
+    const { control } = handlers;
+    control.removeEventListener("pointerdown", handlers.onPointerDown);
+    control.removeEventListener("keydown", handlers.onKeyDown);
+    control.removeEventListener("click", handlers.onClick);
+    handlers.attributes.forEach((value, name) =>
+      value === null
+        ? control.removeAttribute(name)
+        : control.setAttribute(name, value)
+    );
+    item.classList.remove("dragging", "drag-source", "selected");
+    this.selection.delete(item);
+    if (this.selectionAnchor === item) this.selectionAnchor = null;
+    this.bound.items.delete(item);
+  }
+
+  /**
+   * Add an item to a container and make it draggable.
+   * @param {Element} item
+   * @param {Element} [container] - Defaults to the first list (or zone)
+   * @param {number} [index=Infinity] - Position among the container's items
+   * @returns {Element} The item
+   */
+  addItem(item, container = this.containers[0], index = Infinity) {
+    this.insertAt(container, item, index);
+    this.sync();
+    this.changed();
+    return item;
+  }
+
+  /**
+   * Remove an item from the board and the DOM.
+   * @param {Element} item
+   */
+  removeItem(item) {
+    if (this.state.currentItem === item) this.abortDrag();
+    item.remove();
+    this.sync();
+    this.changed();
+  }
+
+  /**
+   * Re-scan the root after DOM changes.
+   * @param {MutationRecord[]} records
+   * @private
+   */
+  onMutation(records) {
+    const relevant = records.some((record) =>
+      [...record.addedNodes, ...record.removedNodes].some(
+        (node) =>
+          node.nodeType === Node.ELEMENT_NODE &&
+          !node.classList.contains("drag-ghost") &&
+          !node.classList.contains("drag-placeholder")
+      )
+    );
+    if (relevant) this.sync();
+  }
+
+  /**
+   * Bring items and containers in line with the DOM: bind new ones, unbind removed ones.
+   * @private
+   */
+  sync() {
+    const { item, list, zone } = this.selectors;
+    this.lists = this.query(list);
+    this.dropZones = this.query(zone);
+    this.containers.forEach((container) => this.prepareContainer(container));
+
+    const items = this.query(item);
+    const current = new Set(items);
+    this.items.forEach((el) => {
+      if (!current.has(el)) this.unbindItem(el);
+    });
+    this.items = items;
+    items.forEach((el) => this.bindItem(el));
+    this.selection.forEach(
+      (el) => current.has(el) || this.selection.delete(el)
+    );
+
+    // The dragged item (or its container) left the board mid-drag
+    const dragged = this.state.currentItem;
+    if (dragged && !current.has(dragged)) this.abortDrag();
+  }
+
+  /**
+   * Drop any drag in progress without moving anything back.
+   * @private
+   */
+  abortDrag() {
+    this.endPointerDrag();
+    if (this.keyboard.active) this.endKeyboardDrag();
+  }
+
+  /**
+   * Arm a pointer drag; it starts once the movement threshold or long press is met.
+   * @param {PointerEvent} e
+   * @param {Element} item
+   * @private
+   */
+  onPointerDown(e, item) {
+    if (this.pointer || (e.button !== undefined && e.button !== 0)) return;
+    if (e.isPrimary === false) return;
+    this.cancelKeyboardDrag();
+
+    const isTouch = e.pointerType === "touch";
+    const onHandle = Boolean(e.target.closest?.(this.selectors.handle));
+    this.pointer = {
+      id: e.pointerId,
+      item,
+      longPress: isTouch && !onHandle,
+      startX: e.clientX,
+      startY: e.clientY,
+      x: e.clientX,
+      y: e.clientY,
+      started: false,
+      timer: null,
+      ghost: null,
+      offsetX: 0,
+      offsetY: 0,
+      group: [item],
+      origin: null,
+      target: null,
+      hoverContainer: null,
+      placeholder: null,
+      frame: null,
+    };
+
+    if (this.pointer.longPress) {
+      this.pointer.timer = window.setTimeout(
+        () => this.startPointerDrag(),
+        LONG_PRESS_DELAY
+      );
+    } else if (e.pointerType === "mouse") {
+      // Keep the browser from starting a text selection (which also skips focus)
+      e.preventDefault();
+      this.focusItem(item);
+    }
+
+    document.addEventListener("pointermove", this.onPointerMove);
+    document.addEventListener("pointerup", this.onPointerUp);
+    document.addEventListener("pointercancel", this.onPointerCancel);
+    document.addEventListener("keydown", this.onDocumentKeyDown);
+  }
+
+  /**
+   * Start the drag once armed, or move the ghost and update hover feedback.
+   * @param {PointerEvent} e
+   * @private
+   */
+  onPointerMove(e) {
+    const pointer = this.pointer;
+    if (!pointer || e.pointerId !== pointer.id) return;
+    pointer.x = e.clientX;
+    pointer.y = e.clientY;
+
+    if (!pointer.started) {
+      const distance = Math.hypot(
+        e.clientX - pointer.startX,
+        e.clientY - pointer.startY
+      );
+      if (pointer.longPress) {
+        // Moved too far before the long press fired: it's a scroll, not a drag
+        if (distance > LONG_PRESS_TOLERANCE) this.endPointerDrag();
+        return;
+      }
+      if (distance < DRAG_THRESHOLD) return;
+      this.startPointerDrag();
+    }
+
+    e.preventDefault();
+    this.moveGhost();
+    this.updateDropTarget();
+    if (pointer.frame === null)
+      pointer.frame = requestAnimationFrame(this.autoScroll);
+  }
+
+  /**
+   * Drop at the placeholder's position, if it's over a container.
+   * @param {PointerEvent} e
+   * @private
+   */
+  onPointerUp(e) {
+    const pointer = this.pointer;
+    if (!pointer || e.pointerId !== pointer.id) return;
+    if (pointer.started) {
+      pointer.x = e.clientX;
+      pointer.y = e.clientY;
+      this.updateDropTarget();
+      this.dropPointerItem();
+      this.suppressNextClick();
+    }
+    this.endPointerDrag();
+  }
+
+  /**
+   * Complete (or refuse) a pointer drop at the current target.
+   * @private
+   */
+  dropPointerItem() {
+    const { target, item, group, origin, copy } = this.pointer;
+    if (!target) {
+      this.emit(item, "cancel", this.originDetail(item, group, origin));
+      return;
+    }
+    // Copies are made up front so the rules and onBeforeDrop see what would land
+    const items = copy ? this.createCopies(group) : group;
+    const dropped = items[group.indexOf(item)];
+    const detail = {
+      item: dropped,
+      items,
+      from: origin.container,
+      fromIndex: origin.index,
+      to: target.container,
+      toIndex: target.index,
+    };
+    if (copy) Object.assign(detail, { copy: true, originals: group });
+    const unchanged =
+      !copy &&
+      group.length === 1 &&
+      detail.from === detail.to &&
+      detail.fromIndex === detail.toIndex;
+    if (unchanged) return;
+    const reason = target.rejected || this.dropViolation(detail);
+    if (reason) {
+      this.rejectDrop(detail, reason);
+    } else if (this.insertAt(target.container, items, target.index)) {
+      if (copy) this.sync();
+      this.emitMove(dropped, items, origin, copy ? group : null);
+    }
+  }
+
+  /**
+   * The browser took over the gesture (or the pointer was lost): cancel.
+   * @param {PointerEvent} e
+   * @private
+   */
+  onPointerCancel(e) {
+    if (!this.pointer || e.pointerId !== this.pointer.id) return;
+    this.cancelPointerDrag();
+  }
+
+  /**
+   * Abandon the pointer drag, leaving the item where it was.
+   * @private
+   */
+  cancelPointerDrag() {
+    const { started, item, group, origin } = this.pointer;
+    this.endPointerDrag();
+    if (started)
+      this.emit(item, "cancel", this.originDetail(item, group, origin));
+  }
+
+  /**
+   * Escape cancels a pointer drag.
+   * @param {KeyboardEvent} e
+   * @private
+   */
+  onDocumentKeyDown(e) {
+    if (e.key !== "Escape" || !this.pointer?.started) return;
+    e.preventDefault();
+    this.cancelPointerDrag();
+  }
+
+  /**
+   * Block touch scrolling while a touch drag is active.
+   * @param {TouchEvent} e
+   * @private
+   */
+  onTouchMove(e) {
+    if (this.pointer?.started && e.cancelable) e.preventDefault();
+  }
+
+  /**
+   * Turn an armed pointer into an active drag: create the ghost and dim the item.
+   * @private
+   */
+  startPointerDrag() {
+    const pointer = this.pointer;
+    if (!pointer || pointer.started) return;
+    window.clearTimeout(pointer.timer);
+    pointer.started = true;
+
+    const { item } = pointer;
+    const group = this.groupFor(item);
+    const rect = item.getBoundingClientRect();
+    pointer.group = group;
+    pointer.offsetX = pointer.startX - rect.left;
+    pointer.offsetY = pointer.startY - rect.top;
+
+    pointer.origin = this.positionOf(item);
+    pointer.copy = this.isCopySource(pointer.origin.container);
+    pointer.placeholder = document.createElement("div");
+    pointer.placeholder.className = "drag-placeholder";
+    pointer.placeholder.setAttribute("aria-hidden", "true");
+    pointer.placeholder.style.width = `${rect.width}px`;
+    pointer.placeholder.style.height = `${rect.height}px`;
+    // A copied item stays visible, so it needs no placeholder of its own
+    if (!pointer.copy) item.before(pointer.placeholder);
+
+    const ghost = item.cloneNode(true);
+    ghost.classList.remove("dragging", "drag-source");
+    ghost.classList.add("drag-ghost");
+    ghost.removeAttribute("id");
+    ghost.removeAttribute("tabindex");
+    ghost.setAttribute("aria-hidden", "true");
+    ghost.style.width = `${rect.width}px`;
+    ghost.style.height = `${rect.height}px`;
+    if (group.length > 1) {
+      ghost.classList.add("drag-ghost--stack");
+      const badge = document.createElement("span");
+      badge.className = "drag-ghost-badge";
+      badge.textContent = String(group.length);
+      ghost.appendChild(badge);
+    }
+    document.body.appendChild(ghost);
+    pointer.ghost = ghost;
+    this.moveGhost();
+
+    this.state = {
+      isDragging: true,
+      currentItem: item,
+      originZone: item.closest(this.selectors.zone),
+    };
+    group.forEach((el) =>
+      el.classList.add("dragging", ...(pointer.copy ? [] : ["drag-source"]))
+    );
+    document.documentElement.classList.add("dragdrop-active");
+    if (pointer.longPress) navigator.vibrate?.(10);
+    this.snapshot = this.getState();
+    this.emit(item, "start", this.originDetail(item, group, pointer.origin));
+  }
+
+  /**
+   * Position the ghost under the pointer.
+   * @private
+   */
+  moveGhost() {
+    const { ghost, x, y, offsetX, offsetY } = this.pointer;
+    if (ghost)
+      ghost.style.transform = `translate3d(${x - offsetX}px, ${
+        y - offsetY
+      }px, 0)`;
+  }
+
+  /**
+   * Find the container and position under the pointer, then move the placeholder
+   * and the `drop-hover` (or `drop-reject`) class there.
+   * @private
+   */
+  updateDropTarget() {
+    const pointer = this.pointer;
+    const { item, group, placeholder, origin } = pointer;
+    const hit = document.elementFromPoint(pointer.x, pointer.y);
+    const container = hit?.closest?.(
+      `${this.selectors.zone}, ${this.selectors.list}`
+    );
+    const valid =
+      container &&
+      this.containers.includes(container) &&
+      !this.isCopySource(container) &&
+      !group.some((el) => el.contains(container))
+        ? container
+        : null;
+    const rejected = valid && this.ruleViolation(group, valid, origin);
+
+    if (valid && !rejected) {
+      const index = this.indexAtPoint(valid, pointer.x, pointer.y, group);
+      pointer.target = { container: valid, index };
+      const before = this.itemsIn(valid, group)[index];
+      if (before) valid.insertBefore(placeholder, before);
+      else valid.appendChild(placeholder);
+    } else {
+      // Outside every container, or refused: show where the item will go back to
+      pointer.target = valid ? { container: valid, index: 0, rejected } : null;
+      if (pointer.copy) placeholder.remove();
+      else item.before(placeholder);
+    }
+
+    const previous = pointer.hoverContainer;
+    if (valid === previous) return;
+    previous?.classList.remove("drop-hover", "drop-reject");
+    valid?.classList.add(rejected ? "drop-reject" : "drop-hover");
+    pointer.hoverContainer = valid;
+    if (valid)
+      this.emit(valid, "enter", {
+        item,
+        items: group,
+        container: valid,
+        accepted: !rejected,
       });
+  }
+
+  /**
+   * Index a dragged item would take in a container when dropped at a point.
+   * Works for vertical lists and wrapping rows: an item comes after everything
+   * above the point, and after items on the point's row whose center it has passed.
+   * @param {Element} container
+   * @param {number} x
+   * @param {number} y
+   * @param {Element[]} group - The dragged items (excluded from the count)
+   * @returns {number}
+   * @private
+   */
+  indexAtPoint(container, x, y, group) {
+    const siblings = this.itemsIn(container, group);
+    const index = siblings.findIndex((sibling) => {
+      const rect = sibling.getBoundingClientRect();
+      return (
+        y < rect.top || (y <= rect.bottom && x < rect.left + rect.width / 2)
+      );
     });
+    return index < 0 ? siblings.length : index;
+  }
+
+  /**
+   * Scroll the page while the pointer is near the top or bottom edge.
+   * @private
+   */
+  autoScroll() {
+    const pointer = this.pointer;
+    if (!pointer?.started) return;
+    pointer.frame = null;
+
+    const { y } = pointer;
+    const bottomGap = window.innerHeight - y;
+    let speed = 0;
+    if (y < AUTO_SCROLL_EDGE)
+      speed = -AUTO_SCROLL_MAX_SPEED * (1 - y / AUTO_SCROLL_EDGE);
+    else if (bottomGap < AUTO_SCROLL_EDGE)
+      speed = AUTO_SCROLL_MAX_SPEED * (1 - bottomGap / AUTO_SCROLL_EDGE);
+    if (!speed) return;
+
+    const before = window.scrollY;
+    window.scrollBy(0, Math.round(speed));
+    if (window.scrollY === before) return; // reached the end of the page
+    this.updateDropTarget();
+    pointer.frame = requestAnimationFrame(this.autoScroll);
+  }
+
+  /**
+   * Swallow the click that follows a pointer drag so it doesn't activate the item.
+   * @private
+   */
+  suppressNextClick() {
+    const onClick = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+    };
+    document.addEventListener("click", onClick, { capture: true, once: true });
+    // If no click follows (e.g., dropped outside the item), drop the listener
+    window.setTimeout(
+      () => document.removeEventListener("click", onClick, { capture: true }),
+      0
+    );
+  }
+
+  /**
+   * Tear down the current pointer drag (dropped, cancelled or never started).
+   * @private
+   */
+  endPointerDrag() {
+    const pointer = this.pointer;
+    if (!pointer) return;
+    window.clearTimeout(pointer.timer);
+    if (pointer.frame !== null) cancelAnimationFrame(pointer.frame);
+    pointer.ghost?.remove();
+    pointer.placeholder?.remove();
+    pointer.hoverContainer?.classList.remove("drop-hover", "drop-reject");
+    pointer.group.forEach((el) =>
+      el.classList.remove("dragging", "drag-source")
+    );
+    document.documentElement.classList.remove("dragdrop-active");
+
+    document.removeEventListener("pointermove", this.onPointerMove);
+    document.removeEventListener("pointerup", this.onPointerUp);
+    document.removeEventListener("pointercancel", this.onPointerCancel);
+    document.removeEventListener("keydown", this.onDocumentKeyDown);
+
+    this.pointer = null;
+    if (pointer.started)
+      this.state = { isDragging: false, currentItem: null, originZone: null };
+  }
+
+  /**
+   * Create the usage instructions and the live region used for announcements.
+   * @private
+   */
+  buildAnnouncer() {
+    this.instructions = document.createElement("p");
+    this.instructions.id = this.instructionsId;
+    this.instructions.className = "visually-hidden";
+    // Marked for translate(), so a locale change updates it
+    this.instructions.dataset.i18n = "dragdrop.instructions";
+    this.instructions.textContent = t("dragdrop.instructions");
+
+    this.liveRegion = document.createElement("div");
+    this.liveRegion.className = "visually-hidden";
+    this.liveRegion.setAttribute("aria-live", "polite");
+    this.liveRegion.setAttribute("aria-atomic", "true");
 
-    // Bind zone events
-    this.dropZones.forEach((zone) => {
-      if (!(zone instanceof Element)) return;
-      const onDragOver = (e) => {
+    const host = this.root === document ? document.body : this.root;
+    host.append(this.instructions, this.liveRegion);
+  }
+
+  /**
+   * Announce a message to screen readers via the live region.
+   * @param {string} message
+   */
+  announce(message) {
+    if (!this.liveRegion) return;
+    // Clear first so repeating the same message is still announced
+    this.liveRegion.textContent = "";
+    window.setTimeout(() => {
+      if (this.liveRegion) this.liveRegion.textContent = message;
+    }, 50);
+  }
+
+  /**
+   * Human-readable name for an item, e.g., "Item 2".
+   * @param {Element} item
+   * @returns {string}
+   * @private
+   */
+  itemLabel(item) {
+    const content = item.querySelector(this.selectors.label) || item;
+    return (
+      item.getAttribute("aria-label") ||
+      content.textContent.trim() ||
+      t("dragdrop.item")
+    );
+  }
+
+  /**
+   * Human-readable name for a container. Containers can name themselves with `data-label`.
+   * @param {Element} container
+   * @returns {string}
+   * @private
+   */
+  containerLabel(container) {
+    if (container.dataset.label) return container.dataset.label;
+    const zoneIndex = this.dropZones.indexOf(container);
+    if (zoneIndex >= 0)
+      return t("dragdrop.dropZone", {
+        index: zoneIndex + 1,
+        count: this.dropZones.length,
+      });
+    const listIndex = this.lists.indexOf(container);
+    return this.lists.length > 1
+      ? t("dragdrop.list", { index: listIndex + 1 })
+      : t("dragdrop.theList");
+  }
+
+  /**
+   * Describe an item's position, e.g., "drop zone 1 of 2, position 1 of 3".
+   * @param {Element} item
+   * @returns {string}
+   * @private
+   */
+  describePosition(item) {
+    const group = this.group.length ? this.group : [item];
+    const { container, index } = this.positionOf(item, group);
+    const count = this.itemsIn(container).length;
+    const label = this.containerLabel(container);
+    return group.length > 1
+      ? t("dragdrop.positions", {
+          container: label,
+          from: index + 1,
+          to: index + group.length,
+          count,
+        })
+      : t("dragdrop.position", { container: label, index: index + 1, count });
+  }
+
+  /**
+   * Keyboard drag-and-drop for a focused item.
+   * @param {KeyboardEvent} e
+   * @param {Element} item
+   * @private
+   */
+  handleKeyDown(e, item) {
+    if (e.target !== this.controlFor(item) || this.pointer?.started) return;
+    const grabbed = this.keyboard.active && this.state.currentItem === item;
+
+    if (!grabbed) {
+      if (e.key === " " && (e.ctrlKey || e.metaKey)) {
         e.preventDefault();
-      };
-      const onDragEnter = (e) => {
+        this.toggleSelection(item);
+      } else if (e.key === " " && e.shiftKey) {
         e.preventDefault();
-        zone.classList.add("drop-hover");
-      };
-      const onDragLeave = () => {
-        zone.classList.remove("drop-hover");
-      };
-      const onDrop = (e) => {
+        this.selectRange(item);
+      } else if (e.key === " " || e.key === "Enter") {
         e.preventDefault();
-        zone.classList.remove("drop-hover");
-        if (this.state.currentItem)
-          this.safeAppend(zone, this.state.currentItem);
-      };
-
-      zone.addEventListener("dragover", onDragOver);
-      zone.addEventListener("dragenter", onDragEnter);
-      zone.addEventListener("dragleave", onDragLeave);
-      zone.addEventListener("drop", onDrop);
-
-      this.bound.zones.set(zone, {
-        onDragOver,
-        onDragEnter,
-        onDragLeave,
-        onDrop,
-      });
+        this.pickUp(item);
+      } else if (e.key === "Escape" && this.selection.size) {
+        e.preventDefault();
+        this.clearSelection();
+        this.announce(t("dragdrop.selectionCleared"));
+      }
+      return;
+    }
+
+    // Left/Right follow the reading direction
+    const flip = isRtl(item) ? -1 : 1;
+    switch (e.key) {
+      case "ArrowDown":
+        e.preventDefault();
+        this.stepPosition(1);
+        break;
+      case "ArrowUp":
+        e.preventDefault();
+        this.stepPosition(-1);
+        break;
+      case "ArrowRight":
+        e.preventDefault();
+        this.stepContainer(flip);
+        break;
+      case "ArrowLeft":
+        e.preventDefault();
+        this.stepContainer(-flip);
+        break;
+      case " ":
+      case "Enter":
+        e.preventDefault();
+        this.dropKeyboardItem();
+        break;
+      case "Escape":
+        e.preventDefault();
+        this.cancelKeyboardDrag();
+        break;
+      case "Tab":
+        // Leaving the item mid-drag puts it back; focus moves on as usual
+        this.cancelKeyboardDrag();
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * The items a drag starting from `item` moves: the whole selection if `item` is
+   * part of a multi-item selection, else just `item`.
+   * @param {Element} item
+   * @returns {Element[]}
+   * @private
+   */
+  groupFor(item) {
+    if (!this.selection.has(item) || this.selection.size < 2) return [item];
+    return this.selectedItems();
+  }
+
+  /**
+   * Selected items in document order (container by container).
+   * @returns {Element[]}
+   */
+  selectedItems() {
+    return this.containers
+      .flatMap((container) => this.itemsIn(container))
+      .filter((el) => this.selection.has(el));
+  }
+
+  /**
+   * Name a dragged group for announcements, e.g., "Item 2" or "3 items".
+   * @param {Element} item
+   * @param {Element[]} group
+   * @returns {string}
+   * @private
+   */
+  groupLabel(item, group) {
+    return group.length > 1
+      ? t("dragdrop.items", { count: group.length })
+      : this.itemLabel(item);
+  }
+
+  /**
+   * Update selection on click: Ctrl/Cmd toggles, Shift selects a range, plain clicks clear.
+   * @param {MouseEvent} e
+   * @param {Element} item
+   * @private
+   */
+  onItemClick(e, item) {
+    const control = e.target.closest?.(INTERACTIVE_SELECTOR);
+    if (control && control !== this.controlFor(item) && item.contains(control))
+      return;
+    if (e.ctrlKey || e.metaKey) this.toggleSelection(item);
+    else if (e.shiftKey) this.selectRange(item);
+    else {
+      this.clearSelection();
+      this.selectionAnchor = item;
+    }
+  }
+
+  /**
+   * Add an item to the selection, or remove it.
+   * @param {Element} item
+   */
+  toggleSelection(item) {
+    if (this.selection.has(item)) this.selection.delete(item);
+    else this.selection.add(item);
+    this.selectionAnchor = item;
+    this.renderSelection();
+    this.announce(
+      t(
+        this.selection.has(item) ? "dragdrop.selected" : "dragdrop.deselected",
+        {
+          item: this.itemLabel(item),
+          count: this.selection.size,
+        }
+      )
+    );
+  }
+
+  /**
+   * Select the items between the anchor (last toggled/clicked item) and `item`, if
+   * they share a container; otherwise toggle `item`.
+   * @param {Element} item
+   */
+  selectRange(item) {
+    const anchor = this.selectionAnchor;
+    const container = item.parentElement;
+    if (!anchor || anchor.parentElement !== container) {
+      this.toggleSelection(item);
+      return;
+    }
+    const siblings = this.itemsIn(container);
+    const [from, to] = [siblings.indexOf(anchor), siblings.indexOf(item)].sort(
+      (a, b) => a - b
+    );
+    siblings.slice(from, to + 1).forEach((el) => this.selection.add(el));
+    this.renderSelection();
+    this.announce(t("dragdrop.selectedCount", { count: this.selection.size }));
+  }
+
+  /**
+   * Deselect everything.
+   */
+  clearSelection() {
+    if (!this.selection.size) return;
+    this.selection.clear();
+    this.renderSelection();
+  }
+
+  /**
+   * Sync the `selected` class with the selection.
+   * @private
+   */
+  renderSelection() {
+    this.items.forEach((el) =>
+      el.classList.toggle("selected", this.selection.has(el))
+    );
+  }
+
+  /**
+   * Start a keyboard drag.
+   * @param {Element} item
+   * @private
+   */
+  pickUp(item) {
+    this.cancelKeyboardDrag();
+    this.endPointerDrag();
+
+    const origin = this.positionOf(item);
+    this.snapshot = this.getState();
+    let grabbed = item;
+    let originals = null;
+    if (this.isCopySource(origin.container)) {
+      originals = this.groupFor(item);
+      const copies = this.placeCopies(originals, origin);
+      if (!copies) {
+        this.snapshot = null;
+        this.announce(
+          t("dragdrop.cantCopy", { item: this.groupLabel(item, originals) })
+        );
+        return;
+      }
+      grabbed = copies[originals.indexOf(item)];
+      this.group = copies;
+    } else {
+      this.group = this.groupFor(item);
+    }
+
+    this.state = {
+      isDragging: true,
+      currentItem: grabbed,
+      originZone: item.closest(this.selectors.zone),
+    };
+    this.keyboard = { active: true, origin, originals };
+    this.group.forEach((el) => el.classList.add("dragging"));
+    this.controlFor(grabbed)?.setAttribute("aria-pressed", "true");
+    if (originals) {
+      this.focusItem(grabbed);
+      grabbed.scrollIntoView?.({ block: "nearest" });
+    }
+    this.markKeyboardTarget(grabbed.parentElement);
+    this.emit(item, "start", {
+      ...this.originDetail(item, originals || this.group, origin),
+      ...(originals ? { copy: true } : {}),
     });
+    // A selection may be scattered until its first move, so only name the container
+    const label = this.groupLabel(item, this.group);
+    const where =
+      originals || this.group.length === 1
+        ? this.describePosition(grabbed)
+        : t("dragdrop.from", {
+            container: this.containerLabel(item.parentElement),
+          });
+    this.announce(
+      t("dragdrop.grabbed", {
+        item: originals ? t("dragdrop.copyOf", { item: label }) : label,
+        position: where,
+      })
+    );
+  }
+
+  /**
+   * Make copies of items from a copy source and put them at the end of the first
+   * container that accepts them.
+   * @param {Element[]} originals
+   * @param {{container: Element, index: number}} origin
+   * @returns {Element[]|null} The copies, or null if no container accepts them
+   * @private
+   */
+  placeCopies(originals, origin) {
+    const copies = this.createCopies(originals);
+    const target = this.containers.find(
+      (container) =>
+        !this.isCopySource(container) &&
+        !this.ruleViolation(copies, container, origin)
+    );
+    if (!target || !this.insertAt(target, copies, Infinity)) return null;
+    this.sync();
+    return copies;
+  }
+
+  /**
+   * Containers the grabbed items may move into: never one nested inside them, and
+   * only those whose rules accept them (plus the one the drag started from).
+   * @param {Element} item - The item the drag started from
+   * @returns {Element[]}
+   * @private
+   */
+  targetsFor(item) {
+    const { origin } = this.keyboard;
+    const group = this.group;
+    return this.containers.filter(
+      (container) =>
+        !this.isCopySource(container) &&
+        !group.some((el) => el.contains(container)) &&
+        (container === item.parentElement ||
+          !this.ruleViolation(group, container, origin))
+    );
+  }
+
+  /**
+   * Move the grabbed item one position, continuing into the next/previous container.
+   * @param {number} step - 1 or -1
+   * @private
+   */
+  stepPosition(step) {
+    const item = this.state.currentItem;
+    const targets = this.targetsFor(item);
+    const { container, index } = this.positionOf(item, this.group);
+    const count = this.itemsIn(container, this.group).length;
+    const next = index + step;
+
+    if (next >= 0 && next <= count) {
+      this.moveKeyboardItem(container, next);
+      return;
+    }
+    const at = targets.indexOf(container);
+    const target = targets[(at + step + targets.length) % targets.length];
+    this.moveKeyboardItem(
+      target,
+      step > 0 ? 0 : this.itemsIn(target, this.group).length
+    );
+  }
+
+  /**
+   * Move the grabbed item to the end of the next/previous container.
+   * @param {number} step - 1 or -1
+   * @private
+   */
+  stepContainer(step) {
+    const item = this.state.currentItem;
+    const targets = this.targetsFor(item);
+    if (targets.length < 2) return;
+    const at = targets.indexOf(item.parentElement);
+    const target = targets[(at + step + targets.length) % targets.length];
+    this.moveKeyboardItem(target, this.itemsIn(target, this.group).length);
+  }
+
+  /**
+   * Move the grabbed item, keep focus on it and announce where it is.
+   * @param {Element} container
+   * @param {number} index
+   * @private
+   */
+  moveKeyboardItem(container, index) {
+    const item = this.state.currentItem;
+    const entered = container !== item.parentElement;
+    if (!this.insertAt(container, this.group, index)) return;
+    if (entered)
+      this.emit(container, "enter", {
+        item,
+        items: this.group,
+        container,
+        accepted: true,
+      });
+    this.focusItem(item);
+    item.scrollIntoView?.({ block: "nearest" });
+    this.markKeyboardTarget(container);
+    const position = this.describePosition(item);
+    this.announce(
+      t("dragdrop.moved", {
+        position: `${position[0].toLocaleUpperCase(
+          getLocale()
+        )}${position.slice(1)}`,
+      })
+    );
+  }
+
+  /**
+   * Outline the container the grabbed item is in.
+   * @param {Element|null} container
+   * @private
+   */
+  markKeyboardTarget(container) {
+    this.containers.forEach((c) =>
+      c.classList.toggle("drop-target", c === container)
+    );
+  }
+
+  /**
+   * Drop the grabbed item where it currently is.
+   * @private
+   */
+  dropKeyboardItem() {
+    const item = this.state.currentItem;
+    const group = this.group;
+    const { origin, originals } = this.keyboard;
+    const to = this.positionOf(item, group);
+    const detail = {
+      item,
+      items: group,
+      from: origin.container,
+      fromIndex: origin.index,
+      to: to.container,
+      toIndex: to.index,
+    };
+    if (originals) Object.assign(detail, { copy: true, originals });
+    const unchanged =
+      !originals &&
+      group.length === 1 &&
+      detail.from === detail.to &&
+      detail.fromIndex === detail.toIndex;
+    const reason = unchanged ? null : this.dropViolation(detail);
+    const label = this.groupLabel(item, group);
+    if (reason) {
+      this.focusItem(this.restoreGroup());
+      this.endKeyboardDrag();
+      this.rejectDrop(detail, reason);
+      this.announce(
+        `${t("dragdrop.rejected", { item: label })} ${
+          originals
+            ? t("dragdrop.copyRemoved")
+            : t("dragdrop.returned", {
+                container: this.containerLabel(origin.container),
+              })
+        }`
+      );
+      return;
+    }
+
+    const position = this.describePosition(item);
+    this.endKeyboardDrag();
+    const moved = this.emitMove(item, group, origin, originals);
+    this.announce(
+      originals
+        ? t("dragdrop.copied", { item: label, position })
+        : moved
+        ? t("dragdrop.dropped", { item: label, position })
+        : t("dragdrop.droppedInPlace", { item: label })
+    );
+  }
+
+  /**
+   * Cancel the keyboard drag and return the items to where they started
+   * (copies are removed).
+   * @private
+   */
+  cancelKeyboardDrag() {
+    const item = this.state.currentItem;
+    if (!item || !this.keyboard.active) return;
+    const group = this.group;
+    const { origin, originals } = this.keyboard;
+    const restored = this.restoreGroup();
+    this.focusItem(restored);
+    this.endKeyboardDrag();
+    this.emit(
+      restored,
+      "cancel",
+      this.originDetail(restored, originals || group, origin)
+    );
+    const label = this.groupLabel(item, group);
+    this.announce(
+      originals
+        ? t("dragdrop.copyCancelled", { item: label })
+        : t("dragdrop.cancelled", {
+            item: label,
+            container: this.containerLabel(origin.container),
+          })
+    );
+  }
+
+  /**
+   * Put the keyboard-dragged items back where they were when the drag started, or
+   * remove them if they are copies.
+   * @returns {Element} The item to focus: the dragged item, or the original it was copied from
+   * @private
+   */
+  restoreGroup() {
+    const { origin, originals } = this.keyboard;
+    const item = this.state.currentItem;
+    if (originals) {
+      const original = originals[this.group.indexOf(item)];
+      this.group.forEach((el) => el.remove());
+      return original;
+    }
+    if (this.group.length > 1 && this.snapshot)
+      this.setState(this.snapshot, { record: false });
+    else this.insertAt(origin.container, item, origin.index);
+    return item;
+  }
+
+  /**
+   * Clear keyboard drag state and visuals.
+   * @private
+   */
+  endKeyboardDrag() {
+    const item = this.state.currentItem;
+    if (item) this.controlFor(item)?.setAttribute("aria-pressed", "false");
+    this.group.forEach((el) => el.classList.remove("dragging"));
+    this.group = [];
+    this.markKeyboardTarget(null);
+    this.keyboard = { active: false, origin: null, originals: null };
+    this.state = { isDragging: false, currentItem: null, originZone: null };
+  }
+
+  /**
+   * The item children of a container, in order.
+   * @param {Element} container
+   * @param {Element|Element[]} [exclude] - Item(s) to leave out (e.g., the ones being dragged)
+   * @returns {Element[]}
+   */
+  itemsIn(container, exclude = []) {
+    const skip = [].concat(exclude);
+    return Array.from(container.children).filter(
+      (el) => !skip.includes(el) && el.matches(this.selectors.item)
+    );
+  }
+
+  /**
+   * Where an item currently is. With a group, the index ignores the group's other
+   * items, i.e., it's where the group would be inserted to put this item here.
+   * @param {Element} item
+   * @param {Element[]} [group]
+   * @returns {{container: Element, index: number}}
+   */
+  positionOf(item, group = [item]) {
+    const container = item.parentElement;
+    const others = group.filter((el) => el !== item);
+    return { container, index: this.itemsIn(container, others).indexOf(item) };
+  }
+
+  /**
+   * Move one item, or a group in order, to an index among a container's other
+   * items (appending past the end).
+   * @param {Element} container
+   * @param {Element|Element[]} items
+   * @param {number} index
+   * @returns {boolean} Whether the items were placed
+   */
+  insertAt(container, items, index) {
+    try {
+      const group = [].concat(items ?? []);
+      if (!container || !group.length) return false;
+      if (group.some((el) => el.contains(container))) return false; // prevent self-nesting
+      const before = this.itemsIn(container, group)[index];
+      group.forEach((el) => container.insertBefore(el, before || null));
+      return true;
+    } catch (_) {
+      return false;
+    }
   }
 
   safeAppend(zone, item) {
+    this.insertAt(zone, item, Infinity);
+  }
+
+  /**
+   * Why a container refuses an item (or a group) under its `data-accepts`/`data-capacity`
+   * rules. A single item can always go back to the container it came from.
+   * @param {Element|Element[]} items
+   * @param {Element} container
+   * @param {{container: Element}} [origin]
+   * @returns {string|null} "type", "capacity", or null if allowed
+   */
+  ruleViolation(items, container, origin) {
+    const group = [].concat(items);
+    if (group.length === 1 && origin && container === origin.container)
+      return null;
+
+    const accepts = (container.dataset.accepts || "").trim();
+    if (accepts && accepts !== "*") {
+      const allowed = accepts.split(/[\s,]+/);
+      const accepted = (item) =>
+        (item.dataset.type || "")
+          .split(/[\s,]+/)
+          .some((type) => type && allowed.includes(type));
+      if (!group.every(accepted)) return "type";
+    }
+
+    const capacity = parseInt(container.dataset.capacity, 10);
+    if (
+      Number.isFinite(capacity) &&
+      this.itemsIn(container, group).length + group.length > capacity
+    )
+      return "capacity";
+
+    return null;
+  }
+
+  /**
+   * Check a drop against the container rules and the `onBeforeDrop` hook.
+   * @param {{item: Element, items: Element[], from: Element, fromIndex: number, to: Element, toIndex: number}} detail
+   * @returns {string|null} "type", "capacity", "vetoed", or null if allowed
+   * @private
+   */
+  dropViolation(detail) {
+    const reason = this.ruleViolation(detail.items, detail.to, {
+      container: detail.from,
+    });
+    if (reason) return reason;
+    if (this.onBeforeDrop && this.onBeforeDrop(detail) === false)
+      return "vetoed";
+    return null;
+  }
+
+  /**
+   * Flash the `drop-reject` state on the refusing container and dispatch `dragdrop:reject`.
+   * @param {Object} detail
+   * @param {string} reason
+   * @private
+   */
+  rejectDrop(detail, reason) {
+    const { to } = detail;
+    to.classList.add("drop-reject");
+    window.setTimeout(
+      () => to.classList.remove("drop-reject"),
+      REJECT_FLASH_DURATION
+    );
+    this.emit(to, "reject", { ...detail, reason });
+  }
+
+  /**
+   * Detail for start/cancel events.
+   * @param {Element} item
+   * @param {Element[]} group
+   * @param {{container: Element, index: number}} origin
+   * @returns {{item: Element, items: Element[], from: Element, fromIndex: number}}
+   * @private
+   */
+  originDetail(item, group, origin) {
+    return {
+      item,
+      items: group,
+      from: origin.container,
+      fromIndex: origin.index,
+    };
+  }
+
+  /**
+   * Dispatch a bubbling `dragdrop:<type>` CustomEvent.
+   * @param {Element} target
+   * @param {string} type - e.g., "drop"
+   * @param {Object} detail
+   * @private
+   */
+  emit(target, type, detail) {
+    target.dispatchEvent(
+      new CustomEvent(`dragdrop:${type}`, { bubbles: true, detail })
+    );
+  }
+
+  /**
+   * Dispatch `dragdrop:drop` and `dragdrop:move` (once for the whole group) if the
+   * layout changed since the drag started.
+   * @param {Element} item - The item the drag started from
+   * @param {Element[]} group
+   * @param {{container: Element, index: number}} origin
+   * @param {Element[]|null} [originals] - The items copied, if `group` are copies
+   * @returns {boolean} Whether anything moved
+   * @private
+   */
+  emitMove(item, group, origin, originals = null) {
+    const to = this.positionOf(item, group);
+    const moved = this.snapshot
+      ? JSON.stringify(this.snapshot) !== JSON.stringify(this.getState())
+      : to.container !== origin.container || to.index !== origin.index;
+    if (!moved) return false;
+    const detail = {
+      item,
+      items: group,
+      from: origin.container,
+      fromIndex: origin.index,
+      to: to.container,
+      toIndex: to.index,
+    };
+    if (originals) Object.assign(detail, { copy: true, originals });
+    this.emit(to.container, "drop", detail);
+    this.emit(item, "move", detail);
+    // Copies aren't undoable: they only leave the board through removeItem()
+    if (originals) this.changed();
+    else if (this.snapshot) this.record(this.snapshot);
+    this.snapshot = null;
+    return true;
+  }
+
+  /**
+   * The current layout: container id -> ordered item ids.
+   * @returns {Object<string, string[]>}
+   */
+  getState() {
+    const state = {};
+    this.containers.forEach((container) => {
+      if (this.isCopySource(container)) return;
+      state[container.dataset.containerId] = this.itemsIn(container).map(
+        (item) => item.dataset.id
+      );
+    });
+    return state;
+  }
+
+  /**
+   * Arrange items to match a layout from getState(). Unknown container and item ids
+   * are ignored; items the layout doesn't mention stay where they are.
+   * @param {Object<string, string[]>} state
+   * @param {Object} [options]
+   * @param {boolean} [options.record=true] - Add the change to the undo history
+   */
+  setState(state, { record = true } = {}) {
+    if (!state || typeof state !== "object") return;
+    const before = this.getState();
+    const byId = new Map(this.items.map((item) => [item.dataset.id, item]));
+
+    this.containers.forEach((container) => {
+      const ids = state[container.dataset.containerId];
+      if (!Array.isArray(ids)) return;
+      ids
+        .map((id) => byId.get(String(id)))
+        .filter(Boolean)
+        .forEach((item, index) => this.insertAt(container, item, index));
+    });
+
+    if (record) this.record(before);
+    else this.changed();
+  }
+
+  /**
+   * Push a layout onto the undo history (clearing redo) and persist the current one.
+   * @param {Object<string, string[]>} before - Layout before the change
+   * @private
+   */
+  record(before) {
+    if (JSON.stringify(before) === JSON.stringify(this.getState())) return;
+    this.history.past.push(before);
+    if (this.history.past.length > HISTORY_LIMIT) this.history.past.shift();
+    this.history.future = [];
+    this.changed();
+  }
+
+  /** @returns {boolean} Whether there is a move to undo */
+  get canUndo() {
+    return this.history.past.length > 0;
+  }
+
+  /** @returns {boolean} Whether there is an undone move to redo */
+  get canRedo() {
+    return this.history.future.length > 0;
+  }
+
+  /**
+   * Undo the last move.
+   * @returns {boolean} Whether anything was undone
+   */
+  undo() {
+    if (!this.canUndo || this.state.isDragging) return false;
+    this.history.future.push(this.getState());
+    this.setState(this.history.past.pop(), { record: false });
+    this.announce(t("dragdrop.undone"));
+    return true;
+  }
+
+  /**
+   * Redo the last undone move.
+   * @returns {boolean} Whether anything was redone
+   */
+  redo() {
+    if (!this.canRedo || this.state.isDragging) return false;
+    this.history.past.push(this.getState());
+    this.setState(this.history.future.pop(), { record: false });
+    this.announce(t("dragdrop.redone"));
+    return true;
+  }
+
+  /**
+   * Ctrl/Cmd+Z undoes and Ctrl/Cmd+Shift+Z (or Ctrl+Y) redoes, while focus is in a container.
+   * @param {KeyboardEvent} e
+   * @private
+   */
+  onHistoryKeyDown(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    if (!this.containers.some((container) => container.contains(e.target)))
+      return;
+    const key = e.key.toLowerCase();
+    const isRedo = (key === "z" && e.shiftKey) || (key === "y" && !e.shiftKey);
+    const isUndo = key === "z" && !e.shiftKey;
+    if (!isUndo && !isRedo) return;
+
+    e.preventDefault();
+    const focused = document.activeElement;
+    if (isUndo) this.undo();
+    else this.redo();
+    // Moving the focused item drops focus in some browsers
+    if (focused?.isConnected && document.activeElement !== focused)
+      focused.focus({ preventScroll: true });
+  }
+
+  /**
+   * Persist the layout and dispatch `dragdrop:change`.
+   * @private
+   */
+  changed() {
+    this.saveState();
+    this.emit(this.root, "change", { state: this.getState() });
+  }
+
+  /**
+   * Whether items dragged out of a container are copied (`data-drop-effect="copy"`).
+   * @param {Element|null} container
+   * @returns {boolean}
+   */
+  isCopySource(container) {
+    return container?.dataset.dropEffect === "copy";
+  }
+
+  /**
+   * Copies of items from a copy source, via `options.copyItem` or a clone.
+   * @param {Element[]} items
+   * @returns {Element[]}
+   * @private
+   */
+  createCopies(items) {
+    return items.map((item) => {
+      let copy;
+      if (this.copyItemOption) {
+        copy = this.copyItemOption(item);
+      } else {
+        copy = item.cloneNode(true);
+        copy.removeAttribute("id");
+        delete copy.dataset.id;
+      }
+      copy.classList.remove("dragging", "drag-source", "selected");
+      return copy;
+    });
+  }
+
+  /**
+   * Read the persisted layout (ignores storage errors).
+   * @returns {Object<string, string[]>|null}
+   * @private
+   */
+  readStoredState() {
+    if (!this.storageKey) return null;
+    try {
+      const parsed = JSON.parse(localStorage.getItem(this.storageKey));
+      if (parsed && typeof parsed.state === "object") return parsed.state;
+    } catch (_) {
+      // Ignore storage errors and keep the markup's layout
+    }
+    return null;
+  }
+
+  /**
+   * Persist the current layout (ignores storage errors).
+   * @private
+   */
+  saveState() {
+    if (!this.storageKey) return;
     try {
-      if (!zone || !item) return;
-      if (item.contains(zone)) return; // prevent self-nesting
-      zone.appendChild(item);
+      localStorage.setItem(
+        this.storageKey,
+        JSON.stringify({ version: 1, state: this.getState() })
+      );
     } catch (_) {
-      /* no-op */
+      // Ignore storage errors (quota, private mode)
     }
   }
 
   destroy() {
+    this.cancelKeyboardDrag();
+    this.endPointerDrag();
+
+    this.observer?.disconnect();
+    this.observer = null;
+    if (this.root !== document) this.root.removeAttribute(ROOT_ATTRIBUTE);
+
     // Unbind item events
-    this.bound.items.forEach((handlers, item) => {
-      item.removeEventListener("dragstart", handlers.onDragStart);
-      item.removeEventListener("dragend", handlers.onDragEnd);
-      item.removeEventListener("pointerdown", handlers.onPointerDown);
-      item.removeEventListener("pointerup", handlers.onPointerUp);
-    });
-    this.bound.items.clear();
-
-    // Unbind zone events
-    this.bound.zones.forEach((handlers, zone) => {
-      zone.removeEventListener("dragover", handlers.onDragOver);
-      zone.removeEventListener("dragenter", handlers.onDragEnter);
-      zone.removeEventListener("dragleave", handlers.onDragLeave);
-      zone.removeEventListener("drop", handlers.onDrop);
-      zone.classList.remove("drop-hover");
+    Array.from(this.bound.items.keys()).forEach((item) =>
+      this.unbindItem(item)
+    );
+    document.removeEventListener("touchmove", this.onTouchMove, {
+      passive: false,
     });
-    this.bound.zones.clear();
+    document.removeEventListener("keydown", this.onHistoryKeyDown);
+
+    this.containers.forEach((container) =>
+      container.classList.remove("drop-hover", "drop-target", "drop-reject")
+    );
+
+    this.instructions?.remove();
+    this.liveRegion?.remove();
+    this.instructions = null;
+    this.liveRegion = null;
 
     // Reset state
     this.state = { isDragging: false, currentItem: null, originZone: null };
+    this.keyboard = { active: false, origin: null, originals: null };
+    this.group = [];
+    this.selection.clear();
+    this.selectionAnchor = null;
+    this.history = { past: [], future: [] };
+    this.snapshot = null;
   }
 }
@@ -0,0 +1,451 @@
+import { html, toHtmlString } from "./safeHtml.js";
+import { t, formatNumber, compareStrings, translate } from "./i18n.js";
+
+/**
+ * Facets: data-driven filtering for BlogList.
+ *
+ * Facet values come from the loaded items rather than from markup:
+ *   - Category (multi-select; an item has one category, so selections are OR'ed)
+ *   - Tags (multi-select; "any" = OR, "all" = AND)
+ *   - Published date range (inclusive, by calendar day)
+ *   - Reading time range (minutes, inclusive)
+ * Different facets combine with AND.
+ *
+ * Counts are "disjunctive": each option shows how many results you would get if
+ * you toggled it, given every *other* active filter (and the search text). So
+ * counts change as other filters change, and OR-ed options don't zero each other out.
+ *
+ * This module exports the pure filtering/counting helpers used by BlogList and a
+ * Facets UI class that renders the controls and reports changes.
+ */
+
+/**
+ * @typedef {Object} FacetQuery
+ * @property {string[]} categories
+ * @property {string[]} tags
+ * @property {"any"|"all"} tagMode
+ * @property {string} from - "YYYY-MM-DD" or ""
+ * @property {string} to - "YYYY-MM-DD" or ""
+ * @property {number|null} minRead - Minutes
+ * @property {number|null} maxRead - Minutes
+ */
+
+/** Facet fields with no filters applied. */
+export const EMPTY_FACETS = Object.freeze({
+  categories: [],
+  tags: [],
+  tagMode: "any",
+  from: "",
+  to: "",
+  minRead: null,
+  maxRead: null,
+});
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Coerce loose input into valid facet fields.
+ * @param {Object} query
+ * @returns {FacetQuery}
+ */
+export const normalizeFacets = (query) => {
+  const list = (val) =>
+    [
+      ...new Set((Array.isArray(val) ? val : val ? [val] : []).map(String)),
+    ].filter(Boolean);
+  const date = (val) => (DATE_RE.test(val || "") ? val : "");
+  const minutes = (val) => {
+    if (val === null || val === undefined || val === "") return null;
+    const n = Number(val);
+    return Number.isFinite(n) && n >= 0 ? n : null;
+  };
+  return {
+    categories: list(query.categories),
+    tags: list(query.tags),
+    tagMode: query.tagMode === "all" ? "all" : "any",
+    from: date(query.from),
+    to: date(query.to),
+    minRead: minutes(query.minRead),
+    maxRead: minutes(query.maxRead),
+  };
+};
+
+/**
+ * Whether any facet filter is active.
+ * @param {FacetQuery} query
+ * @returns {boolean}
+ */
+export const hasActiveFacets = (query) =>
+  query.categories.length > 0 ||
+  query.tags.length > 0 ||
+  Boolean(query.from || query.to) ||
+  query.minRead !== null ||
+  query.maxRead !== null;
+
+/**
+ * Format a Date as a local "YYYY-MM-DD" string.
+ * @param {Date} date
+ * @returns {string}
+ */
+const toDay = (date) =>
+  [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, "0"),
+    String(date.getDate()).padStart(2, "0"),
+  ].join("-");
+
+/**
+ * The form category and tag values are compared in, so "Tech" and "tech" are one value.
+ * @param {string} value
+ * @returns {string}
+ */
+const facetKey = (value) => value.toLowerCase();
+
+/**
+ * Whether an item passes the facet filters.
+ * @param {Object} item - Normalized blog item
+ * @param {FacetQuery} query
+ * @param {"categories"|"tags"|null} [skip] - Facet to ignore (for disjunctive counts)
+ * @returns {boolean}
+ */
+export const matchesFacets = (item, query, skip = null) => {
+  if (skip !== "categories" && query.categories.length > 0) {
+    if (!query.categories.map(facetKey).includes(facetKey(item.category)))
+      return false;
+  }
+
+  if (skip !== "tags" && query.tags.length > 0) {
+    const tags = item.tags.map(facetKey);
+    const wanted = query.tags.map(facetKey);
+    const ok =
+      query.tagMode === "all"
+        ? wanted.every((t) => tags.includes(t))
+        : wanted.some((t) => tags.includes(t));
+    if (!ok) return false;
+  }
+
+  if (query.from || query.to) {
+    if (!item.published_date) return false;
+    const day = toDay(item.published_date);
+    if (query.from && day < query.from) return false;
+    if (query.to && day > query.to) return false;
+  }
+
+  if (query.minRead !== null || query.maxRead !== null) {
+    if (item.reading_time === null) return false;
+    if (query.minRead !== null && item.reading_time < query.minRead)
+      return false;
+    if (query.maxRead !== null && item.reading_time > query.maxRead)
+      return false;
+  }
+
+  return true;
+};
+
+/**
+ * Count matches per value, listing every value seen in allItems.
+ * Values are counted by facetKey(), as matchesFacets() compares them, and
+ * labelled with their first spelling seen.
+ * @param {Array<Object>} allItems - Source of the option list
+ * @param {Array<Object>} pool - Items to count
+ * @param {(item: Object) => string[]} valuesOf
+ * @param {string[]} selected
+ * @returns {Array<{value: string, count: number, selected: boolean}>} Sorted by value
+ */
+const countValues = (allItems, pool, valuesOf, selected) => {
+  /** @type {Map<string, {value: string, count: number}>} */
+  const options = new Map();
+  allItems.forEach((it) =>
+    valuesOf(it).forEach((value) => {
+      const key = facetKey(value);
+      if (!options.has(key)) options.set(key, { value, count: 0 });
+    })
+  );
+  pool.forEach((it) =>
+    new Set(valuesOf(it).map(facetKey)).forEach((key) => {
+      if (options.has(key)) options.get(key).count++;
+    })
+  );
+  const chosen = selected.map(facetKey);
+  return [...options.entries()]
+    .sort(([, a], [, b]) => compareStrings(a.value, b.value))
+    .map(([key, { value, count }]) => ({
+      value,
+      count,
+      selected: chosen.includes(key),
+    }));
+};
+
+/**
+ * Build the facet model: options with disjunctive counts, and range bounds.
+ * @param {Array<Object>} allItems - All loaded items (option lists and bounds)
+ * @param {Array<Object>} pool - Items matching the search text (counted)
+ * @param {FacetQuery} query
+ * @returns {Object} Model for Facets#update()
+ */
+export const buildFacets = (allItems, pool, query) => {
+  const categoryPool = pool.filter((it) =>
+    matchesFacets(it, query, "categories")
+  );
+  // With AND, each tag count narrows the current result; with OR, it ignores other tags
+  const tagPool = pool.filter((it) =>
+    matchesFacets(it, query, query.tagMode === "all" ? null : "tags")
+  );
+
+  const dates = allItems
+    .map((it) => it.published_date)
+    .filter(Boolean)
+    .map((d) => d.getTime());
+  const times = allItems.map((it) => it.reading_time).filter((t) => t !== null);
+
+  return {
+    ...query,
+    categoryOptions: countValues(
+      allItems,
+      categoryPool,
+      (it) => (it.category ? [it.category] : []),
+      query.categories
+    ),
+    tagOptions: countValues(allItems, tagPool, (it) => it.tags, query.tags),
+    dateRange: dates.length
+      ? {
+          min: toDay(new Date(Math.min(...dates))),
+          max: toDay(new Date(Math.max(...dates))),
+        }
+      : null,
+    readRange: times.length
+      ? { min: Math.min(...times), max: Math.max(...times) }
+      : null,
+    active: hasActiveFacets(query),
+  };
+};
+
+let instanceCount = 0;
+
+/**
+ * Facets UI: renders facet controls into a host element and reports changes.
+ *
+ * Usage:
+ *   const facets = new Facets(host, { onChange: (partialQuery) => { ... } });
+ *   facets.update(buildFacets(items, pool, query));
+ *   // ... later, to clean up:
+ *   facets.destroy();
+ */
+export class Facets {
+  /**
+   * @param {HTMLElement} host - Element the controls are rendered into.
+   * @param {Object} [options]
+   * @param {(change: Partial<FacetQuery>) => void} [options.onChange] - Called with the facet fields that changed.
+   */
+  constructor(host, options = {}) {
+    /** @private */
+    this.host = host;
+    /** @private */
+    this.onChange = options.onChange || (() => {});
+    /** @private */
+    this.uid = ++instanceCount;
+
+    this.onInputChange = this.onInputChange.bind(this);
+    this.onClick = this.onClick.bind(this);
+
+    this.build();
+  }
+
+  /**
+   * Render the static skeleton; option lists are filled in by update().
+   * @private
+   */
+  build() {
+    const name = `facet-tag-mode-${this.uid}`;
+    this.host.innerHTML = toHtmlString(html`
+      <div class="facets" role="group" data-i18n-attr="aria-label:facets.label">
+        <fieldset class="facet facet-categories">
+          <legend data-i18n="facets.category"></legend>
+          <div class="facet-options" data-facet="categories"></div>
+        </fieldset>
+        <fieldset class="facet facet-tags">
+          <legend data-i18n="facets.tags"></legend>
+          <div class="facet-mode">
+            <label
+              ><input
+                type="radio"
+                name="${name}"
+                value="any"
+                data-facet="tagMode" />
+              <span data-i18n="facets.any"></span
+            ></label>
+            <label
+              ><input
+                type="radio"
+                name="${name}"
+                value="all"
+                data-facet="tagMode" />
+              <span data-i18n="facets.all"></span
+            ></label>
+          </div>
+          <div class="facet-options" data-facet="tags"></div>
+        </fieldset>
+        <fieldset class="facet facet-date">
+          <legend data-i18n="facets.published"></legend>
+          <label
+            ><span data-i18n="facets.from"></span>
+            <input type="date" data-facet="from"
+          /></label>
+          <label
+            ><span data-i18n="facets.to"></span>
+            <input type="date" data-facet="to"
+          /></label>
+        </fieldset>
+        <fieldset class="facet facet-reading">
+          <legend data-i18n="facets.readingTime"></legend>
+          <label
+            ><span data-i18n="facets.min"></span>
+            <input type="number" min="0" step="1" data-facet="minRead"
+          /></label>
+          <label
+            ><span data-i18n="facets.max"></span>
+            <input type="number" min="0" step="1" data-facet="maxRead"
+          /></label>
+        </fieldset>
+        <button
+          type="button"
+          class="facets-clear"
+          data-i18n="facets.clear"
+        ></button>
+      </div>
+    `);
+    // Static labels; translate(document) updates them after a locale change
+    translate(this.host);
+
+    this.root = this.host.querySelector(".facets");
+    this.lists = {
+      categories: this.root.querySelector('[data-facet="categories"]'),
+      tags: this.root.querySelector('[data-facet="tags"]'),
+    };
+    this.inputs = {
+      from: this.root.querySelector('[data-facet="from"]'),
+      to: this.root.querySelector('[data-facet="to"]'),
+      minRead: this.root.querySelector('[data-facet="minRead"]'),
+      maxRead: this.root.querySelector('[data-facet="maxRead"]'),
+    };
+    this.modeInputs = this.root.querySelectorAll('[data-facet="tagMode"]');
+    this.clearButton = this.root.querySelector(".facets-clear");
+
+    this.root.addEventListener("change", this.onInputChange);
+    this.root.addEventListener("click", this.onClick);
+  }
+
+  /**
+   * Update option lists, counts and field values in place (keeps focus).
+   * @param {Object} model - From buildFacets()
+   */
+  update(model) {
+    this.renderOptions("categories", model.categoryOptions);
+    this.renderOptions("tags", model.tagOptions);
+
+    this.modeInputs.forEach((input) => {
+      input.checked = input.value === model.tagMode;
+    });
+
+    const setValue = (input, value) => {
+      const text = value === null ? "" : String(value);
+      if (input.value !== text) input.value = text;
+    };
+    setValue(this.inputs.from, model.from);
+    setValue(this.inputs.to, model.to);
+    setValue(this.inputs.minRead, model.minRead);
+    setValue(this.inputs.maxRead, model.maxRead);
+
+    ["from", "to"].forEach((key) => {
+      this.inputs[key].min = model.dateRange?.min || "";
+      this.inputs[key].max = model.dateRange?.max || "";
+    });
+    ["minRead", "maxRead"].forEach((key) => {
+      this.inputs[key].placeholder = model.readRange
+        ? String(key === "minRead" ? model.readRange.min : model.readRange.max)
+        : "";
+    });
+
+    this.clearButton.disabled = !model.active;
+  }
+
+  /**
+   * Render a checkbox list, rebuilding only when the set of values changes.
+   * @param {"categories"|"tags"} facet
+   * @param {Array<{value: string, count: number, selected: boolean}>} options
+   * @private
+   */
+  renderOptions(facet, options) {
+    const list = this.lists[facet];
+    const key = JSON.stringify(options.map((o) => o.value));
+    if (list.dataset.values !== key) {
+      list.dataset.values = key;
+      list.innerHTML = toHtmlString(
+        options.map(
+          (o) => html`<label class="facet-option"
+            ><input type="checkbox" data-facet="${facet}" value="${o.value}" />
+            <span class="facet-label">${o.value}</span>
+            <span class="facet-count"></span
+          ></label>`
+        )
+      );
+    }
+
+    const rows = list.querySelectorAll(".facet-option");
+    options.forEach((o, i) => {
+      const row = rows[i];
+      const input = row.querySelector("input");
+      input.checked = o.selected;
+      // Zero-result options can't be picked, but stay enabled while selected so they can be cleared
+      input.disabled = o.count === 0 && !o.selected;
+      row.classList.toggle("is-empty", input.disabled);
+      row.querySelector(".facet-count").textContent = `(${formatNumber(
+        o.count
+      )})`;
+      input.setAttribute(
+        "aria-label",
+        t("facets.option", { value: o.value, count: o.count })
+      );
+    });
+  }
+
+  /**
+   * Report a change to any facet control.
+   * @param {Event} e
+   * @private
+   */
+  onInputChange(e) {
+    const facet = e.target?.dataset?.facet;
+    if (!facet) return;
+
+    if (facet === "categories" || facet === "tags") {
+      const checked = this.lists[facet].querySelectorAll("input:checked");
+      this.onChange({ [facet]: Array.from(checked, (input) => input.value) });
+    } else if (facet === "tagMode") {
+      this.onChange({ tagMode: e.target.value });
+    } else {
+      this.onChange({ [facet]: e.target.value });
+    }
+  }
+
+  /**
+   * Handle the "Clear all" button.
+   * @param {MouseEvent} e
+   * @private
+   */
+  onClick(e) {
+    if (!e.target.closest?.(".facets-clear")) return;
+    this.onChange({ ...EMPTY_FACETS });
+    // The button is now disabled; keep focus inside the facets
+    this.root.querySelector("input:not(:disabled)")?.focus();
+  }
+
+  /**
+   * Remove the controls and listeners.
+   */
+  destroy() {
+    this.root.removeEventListener("change", this.onInputChange);
+    this.root.removeEventListener("click", this.onClick);
+    this.host.innerHTML = "";
+  }
+}
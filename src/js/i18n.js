@@ -0,0 +1,317 @@
+import { MESSAGES } from "./messages.js";
+
+/**
+ * Internationalization: message catalogs, locale selection and Intl formatting.
+ *
+ *   setLocale(navigator.languages); // best available match, e.g. "es" for "es-MX"
+ *   t("blogList.error", { message: err.message }); // "Error: ..."
+ *   t("facets.option", { value: "Gadgets", count: 3 }); // plural by `count`
+ *   formatDate(post.published_date); // "Jan 5, 2024" / "5 ene 2024"
+ *   formatRelativeTime(cachedAt); // "5 minutes ago"
+ *   items.sort((a, b) => compareStrings(a.category, b.category));
+ *
+ * Lookups fall back from the locale to its base language and then to English
+ * ("pt-BR" -> "pt" -> "en"), so a catalog may be partial. Numbers in messages
+ * are formatted for the locale.
+ *
+ * Static markup is translated with attributes, by translate(root):
+ *   <h2 data-i18n="page.blogList.title"></h2>
+ *   <input data-i18n-attr="placeholder:blogList.search" />
+ *   <span data-i18n="common.readingTime" data-i18n-params='{"count": 4}'></span>
+ *
+ * setLocale() sets `lang` and `dir` on <html> (right-to-left for Arabic, Hebrew,
+ * Persian and Urdu), persists the choice and dispatches `locale:change` from the
+ * document with `detail: { locale, direction }`; components re-render their
+ * text on it. The saved locale's direction is also applied by the <head> script
+ * in index.html, before first paint.
+ */
+
+/** Locale every lookup falls back to; its catalog has every key. */
+export const DEFAULT_LOCALE = "en";
+
+/** Base languages written right to left. */
+const RTL_LANGUAGES = ["ar", "fa", "he", "ur"];
+
+const STORAGE_KEY = "locale_v1";
+
+/** @type {Map<string, Object>} */
+const catalogs = new Map(Object.entries(MESSAGES));
+
+let currentLocale = DEFAULT_LOCALE;
+
+/** @type {Map<string, Object>} Intl formatters by type, locale and options */
+const formatters = new Map();
+
+/**
+ * Get (or create) a cached Intl formatter for the current locale.
+ * @param {Function} Formatter - e.g. Intl.NumberFormat
+ * @param {Object} [options]
+ * @returns {Object}
+ */
+const formatter = (Formatter, options = {}) => {
+  const key = `${Formatter.name}|${currentLocale}|${JSON.stringify(options)}`;
+  if (!formatters.has(key))
+    formatters.set(key, new Formatter(currentLocale, options));
+  return formatters.get(key);
+};
+
+/**
+ * The base language of a locale tag: "pt-BR" -> "pt".
+ * @param {string} locale
+ * @returns {string}
+ */
+const baseLanguage = (locale) => locale.split("-")[0].toLowerCase();
+
+/**
+ * Add messages for a locale, merging into any it already has.
+ * @param {string} locale - e.g. "fr" or "pt-BR"
+ * @param {Object<string, string|Object>} messages
+ */
+export const registerMessages = (locale, messages) => {
+  catalogs.set(locale, { ...catalogs.get(locale), ...messages });
+};
+
+/**
+ * Locales that have a catalog.
+ * @returns {string[]}
+ */
+export const getLocales = () => Array.from(catalogs.keys());
+
+/**
+ * The best available locale for a preference list (e.g. navigator.languages):
+ * an exact match, else a catalog for the same base language, else English.
+ * @param {string|string[]} requested
+ * @returns {string}
+ */
+export const resolveLocale = (requested) => {
+  const available = getLocales();
+  const find = (predicate) => available.find(predicate);
+  for (const tag of [].concat(requested || []).filter(Boolean)) {
+    const match =
+      find((locale) => locale.toLowerCase() === tag.toLowerCase()) ||
+      find((locale) => locale.toLowerCase() === baseLanguage(tag)) ||
+      find((locale) => baseLanguage(locale) === baseLanguage(tag));
+    if (match) return match;
+  }
+  return DEFAULT_LOCALE;
+};
+
+/**
+ * The current locale.
+ * @returns {string}
+ */
+export const getLocale = () => currentLocale;
+
+/**
+ * Text direction of a locale.
+ * @param {string} [locale] - Defaults to the current locale
+ * @returns {"ltr"|"rtl"}
+ */
+export const getDirection = (locale = currentLocale) =>
+  RTL_LANGUAGES.includes(baseLanguage(locale)) ? "rtl" : "ltr";
+
+/**
+ * Whether an element is laid out right to left (e.g., to flip arrow keys).
+ * @param {Element} element
+ * @returns {boolean}
+ */
+export const isRtl = (element) => getComputedStyle(element).direction === "rtl";
+
+/**
+ * The locale's name in its own language, e.g. "español" for "es".
+ * @param {string} locale
+ * @returns {string}
+ */
+export const localeName = (locale) => {
+  try {
+    return new Intl.DisplayNames([locale], { type: "language" }).of(locale);
+  } catch (_) {
+    return locale;
+  }
+};
+
+/**
+ * Switch locale: updates <html lang/dir>, persists the choice and dispatches
+ * `locale:change`.
+ * @param {string|string[]} requested - A locale or a preference list
+ * @param {Object} [options]
+ * @param {boolean} [options.persist=true] - Whether to save the choice.
+ * @returns {string} The locale used
+ */
+export const setLocale = (requested, { persist = true } = {}) => {
+  currentLocale = resolveLocale(requested);
+  const root = document.documentElement;
+  root.lang = currentLocale;
+  root.dir = getDirection();
+
+  if (persist) {
+    try {
+      localStorage.setItem(
+        STORAGE_KEY,
+        JSON.stringify({ version: 1, locale: currentLocale })
+      );
+    } catch (_) {
+      // Ignore storage errors (quota, private mode)
+    }
+  }
+
+  document.dispatchEvent(
+    new CustomEvent("locale:change", {
+      detail: { locale: currentLocale, direction: root.dir },
+    })
+  );
+  return currentLocale;
+};
+
+/**
+ * Pick the saved locale, else the browser's preferred languages.
+ * @returns {string} The locale used
+ */
+export const initLocale = () => {
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem(STORAGE_KEY))?.locale || null;
+  } catch (_) {
+    // Ignore storage errors and use the browser's languages
+  }
+  const preferred = navigator.languages?.length
+    ? navigator.languages
+    : [navigator.language];
+  return setLocale(saved || preferred, { persist: false });
+};
+
+/**
+ * Find a message: the locale, then its base language, then English.
+ * @param {string} key
+ * @returns {string|Object|undefined}
+ */
+const lookup = (key) => {
+  const chain = [currentLocale, baseLanguage(currentLocale), DEFAULT_LOCALE];
+  for (const locale of chain) {
+    const message = catalogs.get(locale)?.[key];
+    if (message !== undefined) return message;
+  }
+  return undefined;
+};
+
+/**
+ * Translate a message key.
+ * @param {string} key
+ * @param {Object<string, *>} [params] - Placeholder values; `count` also picks the plural form.
+ * @returns {string} The message, or the key if no catalog has it
+ */
+export const t = (key, params = {}) => {
+  let message = lookup(key);
+  if (message === undefined) return key;
+  if (typeof message === "object") {
+    const category =
+      typeof params.count === "number"
+        ? formatter(Intl.PluralRules).select(params.count)
+        : "other";
+    message = message[category] ?? message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in params)) return match;
+    const value = params[name];
+    return typeof value === "number" ? formatNumber(value) : String(value);
+  });
+};
+
+/**
+ * Format a number for the current locale.
+ * @param {number} value
+ * @param {Intl.NumberFormatOptions} [options]
+ * @returns {string}
+ */
+export const formatNumber = (value, options) =>
+  formatter(Intl.NumberFormat, options).format(value);
+
+/**
+ * Format a date for the current locale.
+ * @param {Date|number} date
+ * @param {Intl.DateTimeFormatOptions} [options={dateStyle: "medium"}]
+ * @returns {string}
+ */
+export const formatDate = (date, options = { dateStyle: "medium" }) =>
+  formatter(Intl.DateTimeFormat, options).format(date);
+
+/** Relative time units, largest first, with their length in seconds. */
+const RELATIVE_UNITS = [
+  ["year", 365 * 24 * 3600],
+  ["month", 30 * 24 * 3600],
+  ["week", 7 * 24 * 3600],
+  ["day", 24 * 3600],
+  ["hour", 3600],
+  ["minute", 60],
+  ["second", 1],
+];
+
+/**
+ * Describe a date relative to now, e.g. "5 minutes ago", "yesterday", "in 2 weeks".
+ * @param {Date|number} date
+ * @param {Date|number} [now=Date.now()]
+ * @returns {string}
+ */
+export const formatRelativeTime = (date, now = Date.now()) => {
+  const seconds = Math.round((date - now) / 1000);
+  const [unit, size] =
+    RELATIVE_UNITS.find(([, length]) => Math.abs(seconds) >= length) ||
+    RELATIVE_UNITS[RELATIVE_UNITS.length - 1];
+  return formatter(Intl.RelativeTimeFormat, { numeric: "auto" }).format(
+    Math.round(seconds / size),
+    unit
+  );
+};
+
+/**
+ * Compare strings in the current locale's order, ignoring case and accents.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export const compareStrings = (a, b) =>
+  formatter(Intl.Collator, { sensitivity: "base", numeric: true }).compare(
+    a,
+    b
+  );
+
+/**
+ * Parse an element's `data-i18n-params` (ignores invalid JSON).
+ * @param {Element} element
+ * @returns {Object}
+ */
+const readParams = (element) => {
+  try {
+    return JSON.parse(element.dataset.i18nParams || "{}");
+  } catch (_) {
+    return {};
+  }
+};
+
+/**
+ * Translate marked-up text in a root (including the root itself):
+ * `data-i18n` sets the text, `data-i18n-attr="attr:key; attr:key"` sets attributes,
+ * both using `data-i18n-params` as placeholder values.
+ * @param {Document|Element} [root=document]
+ */
+export const translate = (root = document) => {
+  const elements = Array.from(
+    root.querySelectorAll("[data-i18n], [data-i18n-attr]")
+  );
+  if (
+    root.nodeType === Node.ELEMENT_NODE &&
+    root.matches("[data-i18n], [data-i18n-attr]")
+  )
+    elements.unshift(root);
+
+  elements.forEach((element) => {
+    const params = readParams(element);
+    if (element.dataset.i18n)
+      element.textContent = t(element.dataset.i18n, params);
+    (element.dataset.i18nAttr || "")
+      .split(";")
+      .map((pair) => pair.split(":").map((part) => part.trim()))
+      .filter(([name, key]) => name && key)
+      .forEach(([name, key]) => element.setAttribute(name, t(key, params)));
+  });
+};
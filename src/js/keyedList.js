@@ -0,0 +1,354 @@
+/**
+ * KeyedList
+ *
+ * Incrementally renders a list of items into a container, reusing DOM nodes by key
+ * instead of rebuilding everything with innerHTML:
+ *
+ *   - Each item is rendered to an HTML string; a node is only (re)created when its
+ *     markup changes, so unchanged cards keep their decoded images, focus and
+ *     text selection across updates.
+ *   - Nodes are moved into order with the fewest insertBefore() calls, and focus
+ *     is restored if a move drops it.
+ *   - Optional FLIP reorder animation (skipped for prefers-reduced-motion).
+ *   - Optional virtualized mode: only items near the viewport are mounted; spacers
+ *     stand in for the rest, using measured heights (or an estimate until measured).
+ *
+ * Usage:
+ *   const list = new KeyedList(container, {
+ *     key: (item) => item.id,
+ *     render: (item) => `<article>...</article>`,
+ *     virtual: false,
+ *   });
+ *   list.update(items, { animate: true });
+ *   // ... later, to clean up:
+ *   list.destroy();
+ */
+
+/** Duration of the FLIP reorder animation (ms). */
+const FLIP_DURATION = 250;
+
+/**
+ * Parse an HTML string into a single element.
+ * @param {string} markup
+ * @returns {Element}
+ */
+const createNode = (markup) => {
+  const template = document.createElement("template");
+  template.innerHTML = markup.trim();
+  return template.content.firstElementChild || document.createElement("div");
+};
+
+/**
+ * Whether the user asked for reduced motion.
+ * @returns {boolean}
+ */
+const prefersReducedMotion = () =>
+  typeof window.matchMedia === "function" &&
+  window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+
+export class KeyedList {
+  /**
+   * @param {HTMLElement} container - Element whose children this list manages.
+   * @param {Object} options
+   * @param {(item: Object) => string|number} options.key - Stable, unique key per item.
+   * @param {(item: Object, index: number) => string} options.render - Item markup (one root element).
+   * @param {boolean} [options.virtual=false] - Only mount items near the viewport.
+   * @param {number} [options.estimateHeight=240] - Height (px) assumed for unmeasured items.
+   * @param {number} [options.overscan=800] - Extra distance (px) above and below the viewport to keep mounted.
+   */
+  constructor(container, options) {
+    /** @private */
+    this.container = container;
+    /** @private */
+    this.key = (item) => String(options.key(item));
+    /** @private */
+    this.renderItem = options.render;
+    /** @private */
+    this.virtual = Boolean(options.virtual);
+    /** @private */
+    this.estimateHeight = options.estimateHeight || 240;
+    /** @private */
+    this.overscan = options.overscan ?? 800;
+
+    /** @private {Map<string, {node: Element, markup: string}>} */
+    this.nodes = new Map();
+    /** @private {Array<Object>} */
+    this.items = [];
+    /** @private {Map<string, number>} Measured item heights, including the gap */
+    this.heights = new Map();
+    /** @private */
+    this.frame = null;
+
+    if (this.virtual) {
+      this.spacerTop = this.createSpacer();
+      this.spacerBottom = this.createSpacer();
+      this.container.setAttribute("role", "feed");
+      this.onViewportChange = this.onViewportChange.bind(this);
+      window.addEventListener("scroll", this.onViewportChange, {
+        passive: true,
+      });
+      window.addEventListener("resize", this.onViewportChange);
+    }
+  }
+
+  /**
+   * Render a new list of items.
+   * @param {Array<Object>} items
+   * @param {{animate?: boolean}} [options] - Animate nodes that change position (FLIP).
+   */
+  update(items, { animate = false } = {}) {
+    this.items = items;
+    const first = animate && !prefersReducedMotion() ? this.measure() : null;
+
+    if (this.virtual) {
+      this.renderWindow();
+    } else {
+      this.patch(items.map((item, index) => ({ item, index })));
+    }
+
+    if (first) this.play(first);
+  }
+
+  /**
+   * Get the mounted node for a key, if any.
+   * @param {string|number} key
+   * @returns {Element|null}
+   */
+  getNode(key) {
+    const entry = this.nodes.get(String(key));
+    return entry && entry.node.isConnected ? entry.node : null;
+  }
+
+  /**
+   * Make sure an item is mounted (scrolling to it in virtual mode) and return its node.
+   * @param {string|number} key
+   * @returns {Element|null}
+   */
+  reveal(key) {
+    if (!this.virtual) return this.getNode(key);
+    const index = this.items.findIndex(
+      (item) => this.key(item) === String(key)
+    );
+    if (index < 0) return null;
+    const top = this.containerTop() + this.offsetOf(index);
+    window.scrollTo(0, Math.max(0, top - window.innerHeight / 3));
+    this.renderWindow();
+    return this.getNode(key);
+  }
+
+  /**
+   * Reconcile the container's children with the given items.
+   * @param {Array<{item: Object, index: number}>} entries - Items to mount, in order
+   * @private
+   */
+  patch(entries) {
+    const active = document.activeElement;
+    const hadFocus = this.container.contains(active);
+
+    const desired = entries.map(({ item, index }) => {
+      const key = this.key(item);
+      const markup = this.renderItem(item, index);
+      let entry = this.nodes.get(key);
+      if (!entry || entry.markup !== markup) {
+        entry = { node: createNode(markup), markup };
+        this.nodes.set(key, entry);
+      }
+      if (this.virtual) {
+        entry.node.setAttribute("aria-posinset", String(index + 1));
+        entry.node.setAttribute("aria-setsize", String(this.items.length));
+      }
+      return entry.node;
+    });
+
+    // Remove everything that isn't wanted (stale nodes, placeholder messages)
+    const wanted = new Set(desired);
+    Array.from(this.container.children).forEach((child) => {
+      if (
+        !wanted.has(child) &&
+        child !== this.spacerTop &&
+        child !== this.spacerBottom
+      )
+        child.remove();
+    });
+    const keys = new Set(entries.map(({ item }) => this.key(item)));
+    this.nodes.forEach((_, key) => keys.has(key) || this.nodes.delete(key));
+
+    // Move nodes into order, touching only the ones out of place
+    if (this.spacerTop && this.container.firstChild !== this.spacerTop)
+      this.container.prepend(this.spacerTop);
+    let cursor = this.spacerTop
+      ? this.spacerTop.nextSibling
+      : this.container.firstChild;
+    desired.forEach((node) => {
+      if (cursor === node) cursor = cursor.nextSibling;
+      else this.container.insertBefore(node, cursor);
+    });
+    if (this.spacerBottom) this.container.appendChild(this.spacerBottom);
+
+    if (hadFocus && active.isConnected && document.activeElement !== active)
+      active.focus({ preventScroll: true });
+  }
+
+  /**
+   * Record the positions of the mounted nodes (the "First" of FLIP).
+   * @returns {Map<Element, DOMRect>}
+   * @private
+   */
+  measure() {
+    const rects = new Map();
+    this.nodes.forEach(({ node }) => {
+      if (node.isConnected) rects.set(node, node.getBoundingClientRect());
+    });
+    return rects;
+  }
+
+  /**
+   * Animate nodes from their old positions to their new ones (Invert + Play).
+   * @param {Map<Element, DOMRect>} first
+   * @private
+   */
+  play(first) {
+    first.forEach((rect, node) => {
+      if (!node.isConnected || typeof node.animate !== "function") return;
+      const last = node.getBoundingClientRect();
+      const dx = rect.left - last.left;
+      const dy = rect.top - last.top;
+      if (!dx && !dy) return;
+      node.animate(
+        [
+          { transform: `translate(${dx}px, ${dy}px)` },
+          { transform: "translate(0, 0)" },
+        ],
+        { duration: FLIP_DURATION, easing: "cubic-bezier(0.4, 0, 0.2, 1)" }
+      );
+    });
+  }
+
+  /**
+   * Create an empty element that stands in for unmounted items.
+   * @returns {HTMLElement}
+   * @private
+   */
+  createSpacer() {
+    const spacer = document.createElement("div");
+    spacer.className = "keyed-list-spacer";
+    spacer.setAttribute("aria-hidden", "true");
+    return spacer;
+  }
+
+  /**
+   * Document offset of the container's top edge.
+   * @returns {number}
+   * @private
+   */
+  containerTop() {
+    return this.container.getBoundingClientRect().top + window.scrollY;
+  }
+
+  /**
+   * Height of an item (measured, else estimated), including the gap after it.
+   * @param {number} index
+   * @returns {number}
+   * @private
+   */
+  heightOf(index) {
+    return this.heights.get(this.key(this.items[index])) ?? this.estimateHeight;
+  }
+
+  /**
+   * Offset of an item from the top of the list.
+   * @param {number} index
+   * @returns {number}
+   * @private
+   */
+  offsetOf(index) {
+    let offset = 0;
+    for (let i = 0; i < index; i++) offset += this.heightOf(i);
+    return offset;
+  }
+
+  /**
+   * Mount the items near the viewport and size the spacers for the rest.
+   * @private
+   */
+  renderWindow() {
+    const count = this.items.length;
+    const viewTop = window.scrollY - this.containerTop() - this.overscan;
+    const viewBottom = viewTop + window.innerHeight + 2 * this.overscan;
+
+    let start = 0;
+    let offset = 0;
+    while (start < count && offset + this.heightOf(start) < viewTop) {
+      offset += this.heightOf(start);
+      start++;
+    }
+    const before = offset;
+    let end = start;
+    while (end < count && offset < viewBottom) {
+      offset += this.heightOf(end);
+      end++;
+    }
+    let after = 0;
+    for (let i = end; i < count; i++) after += this.heightOf(i);
+
+    const entries = [];
+    for (let i = start; i < end; i++)
+      entries.push({ item: this.items[i], index: i });
+    this.patch(entries);
+
+    const gap = parseFloat(getComputedStyle(this.container).rowGap) || 0;
+    this.setSpacer(this.spacerTop, before, gap);
+    this.setSpacer(this.spacerBottom, after, gap);
+
+    // Measure what was mounted; re-run once heights settle if estimates were off
+    let changed = false;
+    entries.forEach(({ item }) => {
+      const node = this.getNode(this.key(item));
+      const height = node ? node.offsetHeight + gap : 0;
+      const key = this.key(item);
+      if (height && Math.abs((this.heights.get(key) ?? 0) - height) > 1) {
+        this.heights.set(key, height);
+        changed = true;
+      }
+    });
+    if (changed) this.onViewportChange();
+  }
+
+  /**
+   * Size a spacer to stand in for `height` px of items (it adds one gap itself).
+   * @param {HTMLElement} spacer
+   * @param {number} height
+   * @param {number} gap
+   * @private
+   */
+  setSpacer(spacer, height, gap) {
+    spacer.hidden = height <= 0;
+    spacer.style.height = `${Math.max(0, height - gap)}px`;
+  }
+
+  /**
+   * Re-render the window on the next frame after scroll/resize.
+   * @private
+   */
+  onViewportChange() {
+    if (this.frame !== null) return;
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.renderWindow();
+    });
+  }
+
+  /**
+   * Remove listeners and mounted nodes.
+   */
+  destroy() {
+    if (this.virtual) {
+      window.removeEventListener("scroll", this.onViewportChange);
+      window.removeEventListener("resize", this.onViewportChange);
+      if (this.frame !== null) cancelAnimationFrame(this.frame);
+      this.container.removeAttribute("role");
+    }
+    this.nodes.clear();
+    this.container.innerHTML = "";
+  }
+}
@@ -0,0 +1,91 @@
+import { t, getLocale, getLocales, localeName, setLocale } from "./i18n.js";
+
+let instanceCount = 0;
+
+/**
+ * LocaleSwitcher Component
+ *
+ * A language <select> rendered into the element, listing every locale with a
+ * message catalog by its own name ("English", "español", "العربية"). Picking one
+ * calls setLocale() (see i18n.js), which persists it and dispatches
+ * `locale:change`; the select follows locale changes made elsewhere.
+ *
+ * Usage:
+ *   const switcher = new LocaleSwitcher(element);
+ *   switcher.init();
+ *   // ... later, to clean up:
+ *   switcher.destroy();
+ */
+export class LocaleSwitcher {
+  /**
+   * @param {HTMLElement} element - Element the select is rendered into.
+   * @param {Object} [options]
+   * @param {string[]} [options.locales] - Locales to offer. Defaults to every catalog.
+   */
+  constructor(element, options = {}) {
+    this.element = element;
+    /** @private */
+    this.locales = options.locales || getLocales();
+    /** @private {HTMLSelectElement|null} */
+    this.select = null;
+
+    this.onSelectChange = this.onSelectChange.bind(this);
+    this.onLocaleChange = this.onLocaleChange.bind(this);
+  }
+
+  /**
+   * Render the select and start following locale changes.
+   */
+  init() {
+    const id = `locale-select-${++instanceCount}`;
+    const label = document.createElement("label");
+    label.className = "visually-hidden";
+    label.htmlFor = id;
+    label.dataset.i18n = "locale.label";
+    label.textContent = t("locale.label");
+
+    this.select = document.createElement("select");
+    this.select.id = id;
+    this.select.className = "locale-select";
+    this.locales.forEach((locale) => {
+      const option = document.createElement("option");
+      option.value = locale;
+      option.lang = locale;
+      option.textContent = localeName(locale);
+      this.select.appendChild(option);
+    });
+    this.select.value = getLocale();
+
+    this.element.append(label, this.select);
+    this.select.addEventListener("change", this.onSelectChange);
+    document.addEventListener("locale:change", this.onLocaleChange);
+  }
+
+  /**
+   * The user picked a language.
+   * @private
+   */
+  onSelectChange() {
+    setLocale(this.select.value);
+  }
+
+  /**
+   * Keep the select in sync with the current locale.
+   * @private
+   */
+  onLocaleChange() {
+    this.select.value = getLocale();
+  }
+
+  /**
+   * Remove the select and listeners.
+   */
+  destroy() {
+    document.removeEventListener("locale:change", this.onLocaleChange);
+    if (this.select) {
+      this.select.removeEventListener("change", this.onSelectChange);
+      this.element.replaceChildren();
+      this.select = null;
+    }
+  }
+}
@@ -1,22 +1,85 @@
 import { DragDrop } from "./dragDrop.js";
 import { BlogList } from "./BlogList.js";
 import { Navigation } from "./navigation.js";
+import { ReadingList } from "./readingList.js";
+import { ThemeManager } from "./themeManager.js";
+import { LocaleSwitcher } from "./localeSwitcher.js";
+import { initLocale, translate } from "./i18n.js";
+import {
+  registerComponent,
+  mount,
+  unmount,
+  getComponent,
+  getComponents,
+} from "./components.js";
+
+// Components are mounted on elements with a matching data-component attribute;
+// their other data-* attributes become options (see components.js).
+
+// Navigation works on the page's #nav-list and sections; it's mounted from the <nav>
+registerComponent("navigation", {
+  create: (element, options) => new Navigation(options),
+});
+
+// Light/dark/system theme toggle in the nav; custom themes can be passed as
+// data-themes='[{"name": ..., "base": ..., "properties": {...}}]'
+registerComponent("theme", {
+  create: (element, options) => new ThemeManager(element, options),
+  start: (themeManager) => themeManager.init(),
+});
+
+registerComponent("locale", {
+  create: (element, options) => new LocaleSwitcher(element, options),
+  start: (switcher) => switcher.init(),
+});
+
+registerComponent("drag-drop", {
+  create: (element, options) => new DragDrop(element, options),
+  start: (dragDrop) => dragDrop.init(),
+});
+
+registerComponent("blog-list", {
+  create: (element, options) =>
+    new BlogList(element, {
+      ...options,
+      isSaved: (item) =>
+        getComponents("reading-list").some((list) => list.has(item.id)),
+    }),
+  start: (blogList) => blogList.init(),
+});
+
+// Saves blog posts dragged onto its lists; the blog lists badge what's saved
+registerComponent("reading-list", {
+  create: (element, options) =>
+    new ReadingList(element, {
+      ...options,
+      getPost: (id) =>
+        getComponents("blog-list")
+          .flatMap((blogList) => blogList.items)
+          .find((item) => String(item.id) === id) || null,
+    }),
+  start: (readingList) => readingList.init(),
+});
+
+document.addEventListener("readinglist:change", () =>
+  getComponents("blog-list").forEach((blogList) => blogList.render())
+);
+
+// Re-translate the page's marked-up text and re-render what's built from strings
+document.addEventListener("locale:change", () => {
+  translate(document);
+  getComponents("navigation").forEach((navigation) =>
+    navigation.refreshSections()
+  );
+  getComponents("blog-list").forEach((blogList) => {
+    blogList.render();
+    blogList.refreshDetail();
+  });
+});
 
 document.addEventListener("DOMContentLoaded", () => {
-  // Initialize Navigation
-  new Navigation();
-
-  //Initialize Drag & Drop
-  const dragDropContainer = document.querySelector(".drag-drop-container");
-  if (dragDropContainer) {
-    const dragDrop = new DragDrop();
-    dragDrop.init();
-  }
-
-  // Initialize Blog List (partial)
-  const blogListContainer = document.querySelector(".blog-list-container");
-  if (blogListContainer) {
-    const blogList = new BlogList(blogListContainer);
-    blogList.init();
-  }
+  initLocale();
+  mount(document);
 });
+
+export { mount, unmount, getComponent, getComponents };
@@ -0,0 +1,374 @@
+/**
+ * Message catalogs by locale (see i18n.js).
+ *
+ * Keys are flat and namespaced by component. Values are strings with `{name}`
+ * placeholders, or plural forms keyed by `Intl.PluralRules` category
+ * (`zero`, `one`, `two`, `few`, `many`, `other`) and selected by the `count`
+ * parameter; `other` is required. A key missing from a locale falls back to its
+ * base language, then to English, so "en" must have every key.
+ */
+export const MESSAGES = {
+  en: {
+    "nav.toggle": "Toggle navigation",
+    "nav.sections.navigation": "Navigation",
+    "nav.sections.dragDrop": "Drag & Drop",
+    "nav.sections.blogList": "Blog List",
+
+    "theme.label": "Theme",
+    "theme.light": "Light",
+    "theme.dark": "Dark",
+    "theme.system": "System",
+    "locale.label": "Language",
+
+    "page.navigation.title": "Navigation Component",
+    "page.navigation.text":
+      "This section demonstrates the sticky navigation with intersectionObserver.",
+    "page.navigation.hint":
+      "Scroll to see the navigation update and highlight the current section",
+    "page.dragDrop.title": "Drag & Drop Demo",
+    "page.dragDrop.item": "Item {number}",
+    "page.dragDrop.dropHere": "Drop Here",
+    "page.blogList.title": "Blog List Demo",
+
+    "common.readingTime": "{count} min read",
+
+    "blogList.sortBy": "Sort by...",
+    "blogList.sort.date": "Date",
+    "blogList.sort.readingTime": "Reading Time",
+    "blogList.sort.category": "Category",
+    "blogList.search": "Search blogs...",
+    "blogList.refresh": "Refresh",
+    "blogList.loading": "Loading blogs...",
+    "blogList.noResults": "No blogs found",
+    "blogList.error": "Error: {message}",
+    "blogList.saved": "Saved",
+    "blogList.saveHandle": "Save {title} to a reading list",
+    "blogList.items": "blogs",
+    "blogList.loadedMore": {
+      one: "Loaded {count} more blog. Showing {shown} of {total}.",
+      other: "Loaded {count} more blogs. Showing {shown} of {total}.",
+    },
+    "blogList.pageStatus":
+      "Page {page} of {pages}, showing blogs {start} to {end} of {total}.",
+    "blogList.offline": "You're offline. Showing results cached {when}.",
+    "blogList.refreshFailed":
+      "Couldn't refresh ({reason}). Showing results cached {when}.",
+    "blogList.unknownError": "unknown error",
+
+    "blogDetail.back": "← Back to list",
+    "blogDetail.pager": "More posts",
+    "blogDetail.prev": "← {title}",
+    "blogDetail.next": "{title} →",
+    "blogDetail.notFound": "Post not found",
+    "blogDetail.notFoundText":
+      "This post may have been removed or the link is incorrect.",
+
+    "pagination.label": "Pagination",
+    "pagination.items": "items",
+    "pagination.range": "Showing {start}–{end} of {total} {items}",
+    "pagination.count": "Showing {shown} of {total} {items}",
+    "pagination.previous": "Previous",
+    "pagination.next": "Next",
+    "pagination.page": "Page {page}",
+    "pagination.loadMore": "Load more",
+
+    "facets.label": "Filters",
+    "facets.category": "Category",
+    "facets.tags": "Tags",
+    "facets.any": "Any",
+    "facets.all": "All",
+    "facets.published": "Published",
+    "facets.from": "From",
+    "facets.to": "To",
+    "facets.readingTime": "Reading time (min)",
+    "facets.min": "Min",
+    "facets.max": "Max",
+    "facets.clear": "Clear all",
+    "facets.option": {
+      one: "{value}, {count} result",
+      other: "{value}, {count} results",
+    },
+
+    "readingList.title": "Reading lists",
+    "readingList.hint":
+      "Drag a post here by its ⋮ handle to save it, or focus the handle and press Space.",
+    "readingList.later": "Read later",
+    "readingList.favorites": "Favorites",
+    "readingList.empty": "Drag posts here",
+    "readingList.move": "Move {title}",
+    "readingList.remove": "Remove {title}",
+    "readingList.removed": "Removed {title} from {list}.",
+
+    "dragdrop.instructions":
+      "Press Space or Enter to pick up. Use Up and Down to change position, " +
+      "Left and Right to change container, Enter to drop, and Escape to cancel. " +
+      "Ctrl+Space selects several items to move together.",
+    "dragdrop.item": "Item",
+    "dragdrop.items": { one: "{count} item", other: "{count} items" },
+    "dragdrop.copyOf": "Copy of {item}",
+    "dragdrop.dropZone": "drop zone {index} of {count}",
+    "dragdrop.list": "list {index}",
+    "dragdrop.theList": "the list",
+    "dragdrop.position": "{container}, position {index} of {count}",
+    "dragdrop.positions": "{container}, positions {from}–{to} of {count}",
+    "dragdrop.from": "from {container}",
+    "dragdrop.selected": "{item} selected. {count} selected.",
+    "dragdrop.deselected": "{item} deselected. {count} selected.",
+    "dragdrop.selectedCount": "{count} selected.",
+    "dragdrop.selectionCleared": "Selection cleared.",
+    "dragdrop.cantCopy": "{item} can't be copied anywhere.",
+    "dragdrop.grabbed":
+      "{item} grabbed, {position}. Use the arrow keys to move, Enter to drop, Escape to cancel.",
+    "dragdrop.moved": "{position}.",
+    "dragdrop.rejected": "{item} can't be dropped there.",
+    "dragdrop.copyRemoved": "Copy removed.",
+    "dragdrop.returned": "Returned to {container}.",
+    "dragdrop.copied": "{item} copied to {position}.",
+    "dragdrop.dropped": "{item} dropped in {position}.",
+    "dragdrop.droppedInPlace": "{item} dropped in the original position.",
+    "dragdrop.copyCancelled": "Copy of {item} cancelled.",
+    "dragdrop.cancelled": "{item} drag cancelled. Returned to {container}.",
+    "dragdrop.undone": "Move undone.",
+    "dragdrop.redone": "Move redone.",
+  },
+
+  es: {
+    "nav.toggle": "Mostrar u ocultar la navegación",
+    "nav.sections.navigation": "Navegación",
+    "nav.sections.dragDrop": "Arrastrar y soltar",
+    "nav.sections.blogList": "Blog",
+
+    "theme.label": "Tema",
+    "theme.light": "Claro",
+    "theme.dark": "Oscuro",
+    "theme.system": "Sistema",
+    "locale.label": "Idioma",
+
+    "page.navigation.title": "Componente de navegación",
+    "page.navigation.text":
+      "Esta sección muestra la navegación fija con IntersectionObserver.",
+    "page.navigation.hint":
+      "Desplázate para ver cómo la navegación resalta la sección actual",
+    "page.dragDrop.title": "Demo de arrastrar y soltar",
+    "page.dragDrop.item": "Elemento {number}",
+    "page.dragDrop.dropHere": "Suelta aquí",
+    "page.blogList.title": "Demo de lista de blogs",
+
+    "common.readingTime": "{count} min de lectura",
+
+    "blogList.sortBy": "Ordenar por...",
+    "blogList.sort.date": "Fecha",
+    "blogList.sort.readingTime": "Tiempo de lectura",
+    "blogList.sort.category": "Categoría",
+    "blogList.search": "Buscar en el blog...",
+    "blogList.refresh": "Actualizar",
+    "blogList.loading": "Cargando artículos...",
+    "blogList.noResults": "No se encontraron artículos",
+    "blogList.error": "Error: {message}",
+    "blogList.saved": "Guardado",
+    "blogList.saveHandle": "Guardar {title} en una lista de lectura",
+    "blogList.items": "artículos",
+    "blogList.loadedMore": {
+      one: "Se cargó {count} artículo más. Mostrando {shown} de {total}.",
+      other: "Se cargaron {count} artículos más. Mostrando {shown} de {total}.",
+    },
+    "blogList.pageStatus":
+      "Página {page} de {pages}, artículos {start} a {end} de {total}.",
+    "blogList.offline": "Sin conexión. Mostrando resultados guardados {when}.",
+    "blogList.refreshFailed":
+      "No se pudo actualizar ({reason}). Mostrando resultados guardados {when}.",
+    "blogList.unknownError": "error desconocido",
+
+    "blogDetail.back": "← Volver a la lista",
+    "blogDetail.pager": "Más artículos",
+    "blogDetail.notFound": "Artículo no encontrado",
+    "blogDetail.notFoundText":
+      "Es posible que el artículo se haya eliminado o que el enlace sea incorrecto.",
+
+    "pagination.label": "Paginación",
+    "pagination.items": "elementos",
+    "pagination.range": "Mostrando {start}–{end} de {total} {items}",
+    "pagination.count": "Mostrando {shown} de {total} {items}",
+    "pagination.previous": "Anterior",
+    "pagination.next": "Siguiente",
+    "pagination.page": "Página {page}",
+    "pagination.loadMore": "Cargar más",
+
+    "facets.label": "Filtros",
+    "facets.category": "Categoría",
+    "facets.tags": "Etiquetas",
+    "facets.any": "Alguna",
+    "facets.all": "Todas",
+    "facets.published": "Publicado",
+    "facets.from": "Desde",
+    "facets.to": "Hasta",
+    "facets.readingTime": "Tiempo de lectura (min)",
+    "facets.min": "Mín.",
+    "facets.max": "Máx.",
+    "facets.clear": "Borrar todo",
+    "facets.option": {
+      one: "{value}, {count} resultado",
+      other: "{value}, {count} resultados",
+    },
+
+    "readingList.title": "Listas de lectura",
+    "readingList.hint":
+      "Arrastra un artículo aquí por su asa ⋮ para guardarlo, o enfoca el asa y pulsa Espacio.",
+    "readingList.later": "Leer más tarde",
+    "readingList.favorites": "Favoritos",
+    "readingList.empty": "Arrastra artículos aquí",
+    "readingList.move": "Mover {title}",
+    "readingList.remove": "Quitar {title}",
+    "readingList.removed": "{title} se quitó de {list}.",
+
+    "dragdrop.instructions":
+      "Pulsa Espacio o Intro para tomar un elemento. Usa Arriba y Abajo para cambiar " +
+      "su posición, Izquierda y Derecha para cambiar de contenedor, Intro para soltarlo " +
+      "y Escape para cancelar. Ctrl+Espacio selecciona varios elementos a la vez.",
+    "dragdrop.item": "Elemento",
+    "dragdrop.items": { one: "{count} elemento", other: "{count} elementos" },
+    "dragdrop.copyOf": "Copia de {item}",
+    "dragdrop.dropZone": "zona {index} de {count}",
+    "dragdrop.list": "lista {index}",
+    "dragdrop.theList": "la lista",
+    "dragdrop.position": "{container}, posición {index} de {count}",
+    "dragdrop.positions": "{container}, posiciones {from}–{to} de {count}",
+    "dragdrop.from": "de {container}",
+    "dragdrop.selected": "{item} seleccionado. {count} seleccionados.",
+    "dragdrop.deselected": "{item} deseleccionado. {count} seleccionados.",
+    "dragdrop.selectedCount": "{count} seleccionados.",
+    "dragdrop.selectionCleared": "Selección borrada.",
+    "dragdrop.cantCopy": "{item} no se puede copiar a ningún sitio.",
+    "dragdrop.grabbed":
+      "{item} tomado, {position}. Usa las flechas para moverlo, Intro para soltarlo y Escape para cancelar.",
+    "dragdrop.moved": "{position}.",
+    "dragdrop.rejected": "{item} no se puede soltar ahí.",
+    "dragdrop.copyRemoved": "Copia eliminada.",
+    "dragdrop.returned": "Devuelto a {container}.",
+    "dragdrop.copied": "{item} copiado a {position}.",
+    "dragdrop.dropped": "{item} soltado en {position}.",
+    "dragdrop.droppedInPlace": "{item} soltado en su posición original.",
+    "dragdrop.copyCancelled": "Copia de {item} cancelada.",
+    "dragdrop.cancelled":
+      "Arrastre de {item} cancelado. Devuelto a {container}.",
+    "dragdrop.undone": "Movimiento deshecho.",
+    "dragdrop.redone": "Movimiento rehecho.",
+  },
+
+  ar: {
+    "nav.toggle": "إظهار التنقل أو إخفاؤه",
+    "nav.sections.navigation": "التنقل",
+    "nav.sections.dragDrop": "السحب والإفلات",
+    "nav.sections.blogList": "المدونة",
+
+    "theme.label": "المظهر",
+    "theme.light": "فاتح",
+    "theme.dark": "داكن",
+    "theme.system": "النظام",
+    "locale.label": "اللغة",
+
+    "page.navigation.title": "مكوّن التنقل",
+    "page.navigation.text":
+      "يعرض هذا القسم شريط التنقل الثابت باستخدام IntersectionObserver.",
+    "page.navigation.hint": "مرّر الصفحة لترى التنقل يبرز القسم الحالي",
+    "page.dragDrop.title": "عرض السحب والإفلات",
+    "page.dragDrop.item": "العنصر {number}",
+    "page.dragDrop.dropHere": "أفلت هنا",
+    "page.blogList.title": "عرض قائمة المدونة",
+
+    "common.readingTime": "قراءة {count} د",
+
+    "blogList.sortBy": "الترتيب حسب...",
+    "blogList.sort.date": "التاريخ",
+    "blogList.sort.readingTime": "مدة القراءة",
+    "blogList.sort.category": "الفئة",
+    "blogList.search": "ابحث في المدونة...",
+    "blogList.refresh": "تحديث",
+    "blogList.loading": "جارٍ تحميل المقالات...",
+    "blogList.noResults": "لم يُعثر على مقالات",
+    "blogList.error": "خطأ: {message}",
+    "blogList.saved": "محفوظ",
+    "blogList.saveHandle": "حفظ {title} في قائمة قراءة",
+    "blogList.items": "مقالات",
+    "blogList.loadedMore":
+      "تم تحميل {count} من المقالات الإضافية. يُعرض {shown} من {total}.",
+    "blogList.pageStatus":
+      "الصفحة {page} من {pages}، المقالات من {start} إلى {end} من {total}.",
+    "blogList.offline": "أنت غير متصل. تُعرض نتائج محفوظة {when}.",
+    "blogList.refreshFailed":
+      "تعذّر التحديث ({reason}). تُعرض نتائج محفوظة {when}.",
+    "blogList.unknownError": "خطأ غير معروف",
+
+    "blogDetail.back": "→ العودة إلى القائمة",
+    "blogDetail.pager": "مزيد من المقالات",
+    "blogDetail.prev": "→ {title}",
+    "blogDetail.next": "{title} ←",
+    "blogDetail.notFound": "المقالة غير موجودة",
+    "blogDetail.notFoundText": "ربما حُذفت هذه المقالة أو أن الرابط غير صحيح.",
+
+    "pagination.label": "ترقيم الصفحات",
+    "pagination.items": "عناصر",
+    "pagination.range": "يُعرض {start}–{end} من {total} {items}",
+    "pagination.count": "يُعرض {shown} من {total} {items}",
+    "pagination.previous": "السابق",
+    "pagination.next": "التالي",
+    "pagination.page": "الصفحة {page}",
+    "pagination.loadMore": "تحميل المزيد",
+
+    "facets.label": "عوامل التصفية",
+    "facets.category": "الفئة",
+    "facets.tags": "الوسوم",
+    "facets.any": "أيٌّ منها",
+    "facets.all": "جميعها",
+    "facets.published": "تاريخ النشر",
+    "facets.from": "من",
+    "facets.to": "إلى",
+    "facets.readingTime": "مدة القراءة (دقائق)",
+    "facets.min": "الأدنى",
+    "facets.max": "الأقصى",
+    "facets.clear": "مسح الكل",
+    "facets.option": "{value}، {count} نتيجة",
+
+    "readingList.title": "قوائم القراءة",
+    "readingList.hint":
+      "اسحب مقالة إلى هنا من مقبضها ⋮ لحفظها، أو ركّز على المقبض واضغط مسافة.",
+    "readingList.later": "للقراءة لاحقًا",
+    "readingList.favorites": "المفضلة",
+    "readingList.empty": "اسحب المقالات إلى هنا",
+    "readingList.move": "نقل {title}",
+    "readingList.remove": "إزالة {title}",
+    "readingList.removed": "أُزيلت {title} من {list}.",
+
+    "dragdrop.instructions":
+      "اضغط مسافة أو Enter لالتقاط العنصر. استخدم الأعلى والأسفل لتغيير موضعه، " +
+      "واليمين واليسار لتغيير الحاوية، وEnter للإفلات، وEscape للإلغاء. " +
+      "يحدد Ctrl+مسافة عدة عناصر لنقلها معًا.",
+    "dragdrop.item": "عنصر",
+    "dragdrop.items": "{count} عناصر",
+    "dragdrop.copyOf": "نسخة من {item}",
+    "dragdrop.dropZone": "منطقة الإفلات {index} من {count}",
+    "dragdrop.list": "القائمة {index}",
+    "dragdrop.theList": "القائمة",
+    "dragdrop.position": "{container}، الموضع {index} من {count}",
+    "dragdrop.positions": "{container}، المواضع {from}–{to} من {count}",
+    "dragdrop.from": "من {container}",
+    "dragdrop.selected": "تم تحديد {item}. المحدد: {count}.",
+    "dragdrop.deselected": "أُلغي تحديد {item}. المحدد: {count}.",
+    "dragdrop.selectedCount": "المحدد: {count}.",
+    "dragdrop.selectionCleared": "تم مسح التحديد.",
+    "dragdrop.cantCopy": "لا يمكن نسخ {item} إلى أي مكان.",
+    "dragdrop.grabbed":
+      "تم التقاط {item}، {position}. استخدم الأسهم للتحريك، وEnter للإفلات، وEscape للإلغاء.",
+    "dragdrop.moved": "{position}.",
+    "dragdrop.rejected": "لا يمكن إفلات {item} هناك.",
+    "dragdrop.copyRemoved": "أُزيلت النسخة.",
+    "dragdrop.returned": "أُعيد إلى {container}.",
+    "dragdrop.copied": "نُسخ {item} إلى {position}.",
+    "dragdrop.dropped": "أُفلت {item} في {position}.",
+    "dragdrop.droppedInPlace": "أُفلت {item} في موضعه الأصلي.",
+    "dragdrop.copyCancelled": "أُلغيت نسخة {item}.",
+    "dragdrop.cancelled": "أُلغي سحب {item}. أُعيد إلى {container}.",
+    "dragdrop.undone": "تم التراجع عن النقل.",
+    "dragdrop.redone": "تمت إعادة النقل.",
+  },
+};
@@ -1,15 +1,80 @@
+import { isRtl } from "./i18n.js";
+
+/** Position of the activation line, as a fraction of the viewport below the header. */
+const SPY_LINE = 1 / 3;
+
+/** Distance (px) from the end of the page that counts as "at the bottom". */
+const BOTTOM_TOLERANCE = 2;
+
+/** Quiet period (ms) after the last scroll event that counts as the end of a scroll. */
+const SCROLL_IDLE = 120;
+
+/** Longest a programmatic scroll may suppress the scroll spy (ms). */
+const SCROLL_END_TIMEOUT = 1500;
+
+/** Viewport width (px) from which the nav is a bar instead of a drawer (matches the CSS). */
+const DRAWER_BREAKPOINT = 768;
+
+/** Headings a generated link takes its label from (the first one in the section). */
+const HEADING_SELECTOR = "h1, h2, h3, h4, h5, h6";
+
+/**
+ * Whether the user asked for reduced motion.
+ * @returns {boolean}
+ */
+const prefersReducedMotion = () =>
+  typeof window.matchMedia === "function" &&
+  window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+
 /**
  * Navigation class for managing section highlighting and smooth scrolling.
  *
  * Implementation improvements:
  * - No global state: all state is encapsulated in the class instance.
  * - Proper event listener and observer cleanup via `destroy()`.
- * - Uses IntersectionObserver for section visibility and highlighting.
+ * - Uses IntersectionObserver for section visibility and highlighting (scroll spy):
+ *   the active section is the last one whose top has passed an activation line a
+ *   third of the way down the area below the sticky header. The observer's root is
+ *   shrunk to that line, so very tall and very short sections both trigger it. At
+ *   the bottom of the page the last section wins, even if it never reaches the line.
+ * - The matching `.nav-link` gets the `active` class and `aria-current="location"`,
+ *   and a bubbling `sectionchange` event is dispatched from the nav with
+ *   `detail: { id, section, previousId }`.
+ * - Highlight updates are suppressed while `isScrolling` (a programmatic smooth
+ *   scroll from a nav click); the clicked section is highlighted up front instead.
+ *   The flag is cleared when the scroll actually ends (`scrollend`, or a short quiet
+ *   period after the last `scroll` event where that isn't supported).
+ * - Hash routing: link navigation pushes `#<section-id>` onto the history (or
+ *   replaces the entry if that hash is already current), a page opened with a
+ *   section hash lands on it below the sticky header, and back/forward scroll to
+ *   the section in the restored hash. App routes such as `#/blog/<id>` are left to
+ *   their owner (BlogList). The History API fires no `hashchange`, so whoever
+ *   changes the hash through it dispatches a `route:change` event on `window`
+ *   (`detail: { hash }`): link navigation does, so leaving an app route (e.g., an
+ *   open post) closes it, and BlogList does for its routes. Smooth scrolling falls
+ *   back to an instant jump for `prefers-reduced-motion`.
  * - Simplified scroll behavior: remove transform accumulation that caused drift.
  * - Adds hamburger toggle logic for responsive nav.
+ * - Keyboard model: the nav links form a single tab stop (roving tabindex, on the
+ *   active section's link) and Arrow keys, Home and End move between them
+ *   (Left/Right are swapped in right-to-left layouts).
+ * - Mobile drawer: opening it moves focus to the first link; while it's open on
+ *   small screens the rest of the page is `inert` and Tab cycles between the toggle
+ *   and the links. Closing it returns focus to the toggle. A closed drawer is inert
+ *   too, so its hidden links can't be tabbed to.
+ * - Only the links in `#nav-list` are handled; other in-page anchors keep their
+ *   default behavior. With `generate: true` the list is built from the sections
+ *   (label from `data-nav-label`, else the section's first heading, else its id),
+ *   and it is rebuilt when sections are added to or removed from their container
+ *   at runtime (only the container's own children are watched, so renders inside
+ *   a section don't trigger it). `destroy()` puts the original links back.
+ * - Reading progress: each nav link gets a `--progress` custom property (0–1, how
+ *   much of its section has passed the activation line), and a page progress bar
+ *   is added to the sticky header.
  *
  * Usage:
- *   const nav = new Navigation();
+ *   const nav = new Navigation({ generate: true });
+ *   nav.navigateTo("list-section"); // scroll there and push "#list-section"
  *   // ... later, to clean up:
  *   nav.destroy();
  */
@@ -17,12 +82,28 @@ export class Navigation {
   /**
    * Initializes the Navigation instance.
    * Sets up observers, event listeners, and internal state.
+   * @param {Object} [options]
+   * @param {string} [options.sections="section[id]"] - Selector for the page sections.
+   * @param {string} [options.container] - Selector for the element holding the sections
+   *   (watched for sections added or removed). Defaults to the first section's parent,
+   *   else `<main>`.
+   * @param {boolean} [options.generate=false] - Build the `#nav-list` links from the sections.
+   * @param {boolean} [options.progress=true] - Show reading progress on the links and in the header.
    */
-  constructor() {
-    /** @private {NodeListOf<HTMLElement>} */
-    this.sections = document.querySelectorAll("section");
-    /** @private {NodeListOf<HTMLAnchorElement>} */
-    this.links = document.querySelectorAll('a[href^="#"]');
+  constructor(options = {}) {
+    /** @private {string} */
+    this.sectionSelector = options.sections || "section[id]";
+    /** @private {boolean} */
+    this.generate = Boolean(options.generate);
+    /** @private {boolean} */
+    this.showProgress = options.progress !== false;
+    /** @private {HTMLElement[]} */
+    this.sections = Array.from(document.querySelectorAll(this.sectionSelector));
+    /** @private {HTMLElement|null} */
+    this.sectionContainer =
+      (options.container && document.querySelector(options.container)) ||
+      this.sections[0]?.parentElement ||
+      document.querySelector("main");
     /** @private {IntersectionObserver|null} */
     this.sectionObserver = null;
     /** @private {boolean} */
@@ -35,9 +116,15 @@ export class Navigation {
     this.navToggle = document.querySelector(".nav-toggle");
     /** @private {HTMLUListElement|null} */
     this.navList = document.querySelector("#nav-list");
+    /** @private {Node[]|null} The list's markup before links were generated */
+    this.originalLinks = null;
 
     /** @private */
-    this.linkHandlers = [];
+    this.navClickHandler = null;
+    /** @private {MutationObserver|null} Watches for sections added or removed */
+    this.sectionMutationObserver = null;
+    /** @private {HTMLElement|null} */
+    this.progressBar = null;
     /** @private */
     this.scrollHandler = null;
     /** @private */
@@ -48,6 +135,24 @@ export class Navigation {
     this.escapeHandler = null;
     /** @private */
     this.resizeHandler = null;
+    /** @private */
+    this.navKeydownHandler = null;
+    /** @private */
+    this.navFocusHandler = null;
+    /** @private {HTMLElement[]} Elements made inert while the drawer is open */
+    this.inertElements = [];
+    /** @private */
+    this.spyResizeHandler = null;
+    /** @private {number|null} */
+    this.spyFrame = null;
+    /** @private {(() => void)|null} Stops watching the current programmatic scroll */
+    this.stopScrollWatch = null;
+    /** @private */
+    this.popStateHandler = null;
+    /** @private */
+    this.routeChangeHandler = null;
+    /** @private {string} Hash of the current history entry (the one left on back/forward) */
+    this.lastHash = window.location.hash;
 
     this.init();
   }
@@ -57,22 +162,74 @@ export class Navigation {
    * @private
    */
   init() {
+    if (this.generate) this.renderLinks();
+    if (this.showProgress) this.createProgressBar();
+
+    // Sections added to or removed from their container at runtime
+    if (this.sectionContainer) {
+      this.sectionMutationObserver = new MutationObserver(
+        this.handleSectionMutations.bind(this)
+      );
+      this.sectionMutationObserver.observe(this.sectionContainer, {
+        childList: true,
+      });
+    }
+
     // IntersectionObserver for section highlighting (no transforms applied)
-    this.sectionObserver = new IntersectionObserver(
-      this.handleSectionIntersect.bind(this),
-      { threshold: 0.5 }
-    );
-    this.sections.forEach((section) => this.sectionObserver.observe(section));
+    this.observeSections();
 
-    // Attach click handlers for smooth scrolling
-    this.links.forEach((link) => {
-      const handler = this.handleLinkClick.bind(this, link);
-      link.addEventListener("click", handler);
-      this.linkHandlers.push({ link, handler });
-    });
+    // Scroll/resize: re-check the bottom-of-page case and rebuild the observer's line
+    this.scrollHandler = () => this.scheduleSpyUpdate();
+    window.addEventListener("scroll", this.scrollHandler, { passive: true });
+    this.spyResizeHandler = () => {
+      this.observeSections();
+      this.scheduleSpyUpdate();
+    };
+    window.addEventListener("resize", this.spyResizeHandler);
+    this.updateActiveSection();
+    this.updateProgress();
+
+    // Back/forward between section hashes
+    this.popStateHandler = this.handlePopState.bind(this);
+    window.addEventListener("popstate", this.popStateHandler);
+    // Hash changes made by links and the History API
+    this.routeChangeHandler = () => {
+      this.lastHash = window.location.hash;
+    };
+    window.addEventListener("hashchange", this.routeChangeHandler);
+    window.addEventListener("route:change", this.routeChangeHandler);
+
+    // Deep link: land on the section once layout has settled
+    const initial = this.sectionFromHash(this.lastHash);
+    if (initial) {
+      requestAnimationFrame(() =>
+        this.scrollToSection(initial, { smooth: false })
+      );
+    }
+
+    // Roving tabindex between the nav links, and their clicks (delegated, so
+    // regenerated links are covered)
+    if (this.navList) {
+      this.navClickHandler = (e) => {
+        const link = e.target.closest?.(".nav-link");
+        if (link && this.navList.contains(link)) this.handleLinkClick(link, e);
+      };
+      this.navList.addEventListener("click", this.navClickHandler);
+
+      this.setTabStop(this.activeLink() || this.navLinks()[0]);
+      this.navKeydownHandler = this.handleNavKeyDown.bind(this);
+      this.navElement().addEventListener("keydown", this.navKeydownHandler);
+      this.navFocusHandler = (e) => {
+        const link = e.target.closest?.(".nav-link");
+        if (link) this.setTabStop(link);
+      };
+      this.navList.addEventListener("focusin", this.navFocusHandler);
+    }
 
     // Responsive nav toggle
     if (this.navToggle && this.navList) {
+      this.syncDrawerInert();
+
       this.navToggleHandler = this.handleNavToggle.bind(this);
       this.navToggle.addEventListener("click", this.navToggleHandler);
 
@@ -98,55 +255,594 @@ export class Navigation {
 
       // Reset state on resize ≥ 768px
       this.resizeHandler = () => {
-        if (window.innerWidth >= 768) this.setNavExpanded(false, true);
+        if (window.innerWidth >= DRAWER_BREAKPOINT)
+          this.setNavExpanded(false, true);
+        this.syncDrawerInert();
       };
       window.addEventListener("resize", this.resizeHandler);
     }
   }
 
   /**
-   * Handles section intersection changes for state.
+   * Label for a section's nav link.
+   * @param {HTMLElement} section
+   * @returns {string}
+   * @private
+   */
+  sectionLabel(section) {
+    const heading = section.querySelector(HEADING_SELECTOR);
+    return (
+      section.dataset.navLabel?.trim() ||
+      heading?.textContent.trim() ||
+      section.id
+    );
+  }
+
+  /**
+   * Build the `#nav-list` links from the sections.
+   * @private
+   */
+  renderLinks() {
+    if (!this.navList) return;
+    if (!this.originalLinks)
+      this.originalLinks = Array.from(this.navList.childNodes);
+    const hadFocus = this.navList.contains(document.activeElement);
+    const focusedHref = hadFocus
+      ? document.activeElement.getAttribute("href")
+      : null;
+
+    const items = this.sections.map((section) => {
+      const item = document.createElement("li");
+      const link = document.createElement("a");
+      link.className = "nav-link";
+      link.href = `#${section.id}`;
+      link.textContent = this.sectionLabel(section);
+      item.appendChild(link);
+      return item;
+    });
+    this.navList.replaceChildren(...items);
+
+    // Carry the active state and tab stop over to the new links
+    this.markActiveLink();
+    const focused = this.navLinks().find(
+      (link) => link.getAttribute("href") === focusedHref
+    );
+    this.setTabStop(focused || this.activeLink() || this.navLinks()[0]);
+    if (focused) focused.focus({ preventScroll: true });
+    else if (hadFocus) this.navToggle?.focus({ preventScroll: true });
+  }
+
+  /**
+   * Pick up sections added to or removed from the page.
+   * @param {MutationRecord[]} records
+   * @private
+   */
+  handleSectionMutations(records) {
+    const touchesSections = (node) =>
+      node.nodeType === Node.ELEMENT_NODE &&
+      (node.matches(this.sectionSelector) ||
+        Boolean(node.querySelector(this.sectionSelector)));
+    const changed = records.some(
+      (record) =>
+        Array.from(record.addedNodes).some(touchesSections) ||
+        Array.from(record.removedNodes).some(touchesSections)
+    );
+    if (changed) this.refreshSections();
+  }
+
+  /**
+   * Re-read the sections and rebuild everything that depends on them.
+   */
+  refreshSections() {
+    this.sections = Array.from(document.querySelectorAll(this.sectionSelector));
+    if (this.generate) this.renderLinks();
+    this.observeSections();
+    this.updateActiveSection();
+    this.updateProgress();
+  }
+
+  /**
+   * Add the page progress bar to the sticky header.
+   * @private
+   */
+  createProgressBar() {
+    const header =
+      this.navList?.closest("header") || document.querySelector("header");
+    if (!header) return;
+    this.progressBar = document.createElement("div");
+    this.progressBar.className = "page-progress";
+    this.progressBar.setAttribute("aria-hidden", "true");
+    this.progressBar.innerHTML = '<div class="page-progress-bar"></div>';
+    header.appendChild(this.progressBar);
+  }
+
+  /**
+   * Update the per-link and page reading progress.
+   * @private
+   */
+  updateProgress() {
+    if (!this.showProgress) return;
+    const scrollable =
+      document.documentElement.scrollHeight - window.innerHeight;
+    const atBottom = window.scrollY >= scrollable - BOTTOM_TOLERANCE;
+    const page = scrollable > 0 ? Math.min(1, window.scrollY / scrollable) : 1;
+    this.progressBar?.style.setProperty("--progress", page.toFixed(3));
+
+    const line = this.activationLine();
+    this.navLinks().forEach((link) => {
+      const section = this.sections.find(
+        (s) => link.getAttribute("href") === `#${s.id}`
+      );
+      if (!section) return;
+      const rect = section.getBoundingClientRect();
+      const read =
+        atBottom && window.scrollY > 0
+          ? 1
+          : rect.height > 0
+          ? (line - rect.top) / rect.height
+          : Number(rect.top <= line);
+      link.style.setProperty(
+        "--progress",
+        Math.min(1, Math.max(0, read)).toFixed(3)
+      );
+    });
+  }
+
+  /**
+   * (Re)create the section observer with its root shrunk to the activation line.
+   * @private
+   */
+  observeSections() {
+    this.sectionObserver?.disconnect();
+    const line = Math.round(this.activationLine());
+    const bottom = Math.max(0, window.innerHeight - line - 1);
+    this.sectionObserver = new IntersectionObserver(
+      this.handleSectionIntersect.bind(this),
+      { rootMargin: `-${line}px 0px -${bottom}px 0px`, threshold: 0 }
+    );
+    this.sections.forEach((section) => this.sectionObserver.observe(section));
+  }
+
+  /**
+   * Height of the sticky header, used as the scroll offset.
+   * @returns {number}
+   * @private
+   */
+  headerOffset() {
+    const header = document.querySelector("header");
+    return header ? header.offsetHeight : 0;
+  }
+
+  /**
+   * Viewport y of the activation line.
+   * @returns {number}
+   * @private
+   */
+  activationLine() {
+    const header = this.headerOffset();
+    return header + (window.innerHeight - header) * SPY_LINE;
+  }
+
+  /**
+   * A section crossed the activation line.
    * @param {IntersectionObserverEntry[]} entries
    * @private
    */
   handleSectionIntersect(entries) {
-    entries.forEach((entry) => {
-      if (entry.isIntersecting) {
-        this.currentSection = entry.target.id;
+    if (entries.some((entry) => entry.isIntersecting))
+      this.updateActiveSection();
+  }
+
+  /**
+   * Update the active section on the next frame.
+   * @private
+   */
+  scheduleSpyUpdate() {
+    if (this.spyFrame !== null) return;
+    this.spyFrame = requestAnimationFrame(() => {
+      this.spyFrame = null;
+      this.updateProgress();
+      this.updateActiveSection();
+    });
+  }
+
+  /**
+   * Work out which section is active from the layout and highlight it.
+   * Skipped during a programmatic smooth scroll.
+   * @private
+   */
+  updateActiveSection() {
+    if (this.isScrolling || !this.sections.length) return;
+
+    const sections = this.sections;
+    const atBottom =
+      window.innerHeight + window.scrollY >=
+      document.documentElement.scrollHeight - BOTTOM_TOLERANCE;
+    let active = sections[0];
+    if (atBottom && window.scrollY > 0) {
+      active = sections[sections.length - 1];
+    } else {
+      const line = this.activationLine();
+      sections.forEach((section) => {
+        if (section.getBoundingClientRect().top <= line) active = section;
+      });
+    }
+    this.setActiveSection(active.id);
+  }
+
+  /**
+   * Highlight the link for a section and announce the change.
+   * @param {string} id
+   * @private
+   */
+  setActiveSection(id) {
+    if (!id || id === this.currentSection) return;
+    const previousId = this.currentSection;
+    this.currentSection = id;
+
+    this.markActiveLink();
+
+    const source = this.navList?.closest("nav") || document;
+    source.dispatchEvent(
+      new CustomEvent("sectionchange", {
+        bubbles: true,
+        detail: { id, section: document.getElementById(id), previousId },
+      })
+    );
+  }
+
+  /**
+   * Scroll to a section and record it in the history.
+   * @param {string} id - Section id
+   * @param {Object} [options]
+   * @param {"push"|"replace"|false} [options.history="push"] - How to update the URL
+   *   hash; "push" replaces instead when the hash is already current.
+   * @param {boolean} [options.smooth=true] - Smooth scroll (unless reduced motion is preferred)
+   * @returns {boolean} Whether the section exists
+   */
+  navigateTo(id, { history = "push", smooth = true } = {}) {
+    const target = document.getElementById(id);
+    if (!target) return false;
+
+    if (history) {
+      const hash = `#${encodeURIComponent(id)}`;
+      const previous = window.location.hash;
+      if (history === "replace" || previous === hash) {
+        window.history.replaceState(window.history.state, "", hash);
+      } else {
+        window.history.pushState(null, "", hash);
       }
+      // Let route owners react (e.g., BlogList closes an open post) before scrolling
+      if (window.location.hash !== previous)
+        window.dispatchEvent(
+          new CustomEvent("route:change", {
+            detail: { hash: window.location.hash },
+          })
+        );
+    }
+    this.scrollToSection(target, { smooth });
+    return true;
+  }
+
+  /**
+   * Resolve a section hash (e.g., "#list-section") to its element.
+   * App routes ("#/...") and unknown ids resolve to null.
+   * @param {string} hash
+   * @returns {HTMLElement|null}
+   * @private
+   */
+  sectionFromHash(hash) {
+    if (!hash || hash.length < 2 || hash.startsWith("#/")) return null;
+    let id;
+    try {
+      id = decodeURIComponent(hash.slice(1));
+    } catch (_) {
+      return null;
+    }
+    return document.getElementById(id);
+  }
+
+  /**
+   * Scroll a section to just below the sticky header and highlight it.
+   * The scroll spy is paused until the scroll ends.
+   * @param {HTMLElement} target
+   * @param {{smooth?: boolean}} [options]
+   * @private
+   */
+  scrollToSection(target, { smooth = true } = {}) {
+    this.setActiveSection(target.id);
+    this.isScrolling = true;
+
+    const top = Math.max(
+      0,
+      window.scrollY + target.getBoundingClientRect().top - this.headerOffset()
+    );
+    this.scrollWindowTo(top, smooth);
+  }
+
+  /**
+   * Scroll the window and watch for the end of the scroll.
+   * @param {number} top
+   * @param {boolean} smooth - Smooth scroll (unless reduced motion is preferred)
+   * @private
+   */
+  scrollWindowTo(top, smooth) {
+    const maxTop = document.documentElement.scrollHeight - window.innerHeight;
+    const distance = Math.abs(
+      Math.min(top, Math.max(0, maxTop)) - window.scrollY
+    );
+    const instant = !smooth || prefersReducedMotion() || distance < 1;
+    window.scrollTo({ top, behavior: instant ? "auto" : "smooth" });
+    this.watchScrollEnd(instant);
+  }
+
+  /**
+   * Clear `isScrolling` once the programmatic scroll has finished.
+   * @param {boolean} instant - The scroll was a jump (or went nowhere), so it has already ended
+   * @private
+   */
+  watchScrollEnd(instant) {
+    this.stopScrollWatch?.();
+
+    let idleTimer;
+    let timeout;
+    const useScrollEnd = "onscrollend" in window;
+    const onScroll = () => {
+      window.clearTimeout(idleTimer);
+      idleTimer = window.setTimeout(finish, SCROLL_IDLE);
+    };
+    const stop = () => {
+      window.clearTimeout(idleTimer);
+      window.clearTimeout(timeout);
+      window.removeEventListener(
+        useScrollEnd ? "scrollend" : "scroll",
+        onScroll
+      );
+      window.removeEventListener("scrollend", finish);
+      this.stopScrollWatch = null;
+    };
+    const finish = () => {
+      stop();
+      this.isScrolling = false;
+      this.updateActiveSection();
+    };
+    this.stopScrollWatch = stop;
+
+    if (instant) {
+      // Let the jump's own scroll event pass before the spy takes over again
+      timeout = window.setTimeout(finish, 0);
+      return;
+    }
+    if (useScrollEnd) {
+      window.addEventListener("scrollend", finish);
+    } else {
+      // No scrollend: the scroll has ended once scroll events go quiet
+      window.addEventListener("scroll", onScroll, { passive: true });
+      onScroll();
+    }
+    // Safety net in case the end is never reported (e.g., the scroll was interrupted)
+    timeout = window.setTimeout(finish, SCROLL_END_TIMEOUT);
+  }
+
+  /**
+   * Scroll to the section in the restored hash on back/forward.
+   * @private
+   */
+  handlePopState() {
+    const hash = window.location.hash;
+    const previous = this.lastHash;
+    this.lastHash = hash;
+    // Entering or leaving an app route: its owner restores the scroll position
+    if (hash.startsWith("#/") || previous.startsWith("#/")) return;
+
+    const target = this.sectionFromHash(hash);
+    if (target) {
+      this.scrollToSection(target);
+    } else if (!hash) {
+      this.isScrolling = true;
+      this.scrollWindowTo(0, true);
+    }
+  }
+
+  /**
+   * Sync the links' `active` class, `aria-current` and tab stop with the current section.
+   * @private
+   */
+  markActiveLink() {
+    const active = this.activeLink();
+    this.navLinks().forEach((link) => {
+      link.classList.toggle("active", link === active);
+      if (link === active) link.setAttribute("aria-current", "location");
+      else link.removeAttribute("aria-current");
     });
+    // The tab stop follows the active section unless the user is moving through the links
+    if (active && !this.navList.contains(document.activeElement))
+      this.setTabStop(active);
   }
 
   /**
-   * Handles anchor link clicks for smooth scrolling (no transform side-effects).
+   * Handles anchor link clicks: scroll to the section and push its hash.
+   * Links to app routes or missing sections keep their default behavior.
    * @param {HTMLAnchorElement} link
    * @param {MouseEvent} e
    * @private
    */
   handleLinkClick(link, e) {
-    e.preventDefault();
-    const targetId = link.getAttribute("href").slice(1);
-    const target = document.getElementById(targetId);
+    // Let modified clicks (new tab/window) through
+    if (e.ctrlKey || e.metaKey || e.shiftKey || e.button > 0) return;
+    const target = this.sectionFromHash(link.getAttribute("href"));
     if (!target) return;
+    e.preventDefault();
 
-    this.isScrolling = true;
-
-    // Account for sticky header using scrollMarginTop if available
-    // Fallback to manual offset
-    const header = document.querySelector("header");
-    const headerHeight = header ? header.offsetHeight : 0;
-    const targetTop =
-      window.pageYOffset + target.getBoundingClientRect().top - headerHeight;
-
-    window.scrollTo({ top: targetTop, behavior: "smooth" });
+    this.navigateTo(target.id);
 
     // Close mobile nav after navigation
     this.setNavExpanded(false);
+  }
 
-    // End scrolling flag after timeout
-    window.setTimeout(() => {
-      this.isScrolling = false;
-    }, 500);
+  /**
+   * The nav element (toggle and list).
+   * @returns {HTMLElement}
+   * @private
+   */
+  navElement() {
+    return this.navList.closest("nav") || this.navList.parentElement;
+  }
+
+  /**
+   * Links in the nav list, in order.
+   * @returns {HTMLAnchorElement[]}
+   * @private
+   */
+  navLinks() {
+    return this.navList
+      ? Array.from(this.navList.querySelectorAll(".nav-link"))
+      : [];
+  }
+
+  /**
+   * The link for the active section, if any.
+   * @returns {HTMLAnchorElement|undefined}
+   * @private
+   */
+  activeLink() {
+    return this.navLinks().find(
+      (link) => link.getAttribute("href") === `#${this.currentSection}`
+    );
+  }
+
+  /**
+   * Make one link the nav's only tab stop.
+   * @param {HTMLAnchorElement|undefined} stop
+   * @private
+   */
+  setTabStop(stop) {
+    if (!stop) return;
+    this.navLinks().forEach((link) =>
+      link.setAttribute("tabindex", link === stop ? "0" : "-1")
+    );
+  }
+
+  /**
+   * Arrow/Home/End between links; Tab is trapped while the drawer is open.
+   * @param {KeyboardEvent} e
+   * @private
+   */
+  handleNavKeyDown(e) {
+    if (e.key === "Tab") {
+      if (this.isDrawerOpen()) this.trapFocus(e);
+      return;
+    }
+
+    const links = this.navLinks();
+    const index = links.indexOf(e.target.closest?.(".nav-link"));
+    if (index < 0 || e.altKey || e.ctrlKey || e.metaKey) return;
+
+    // Left/Right follow the reading direction
+    const forward = isRtl(e.target) ? "ArrowLeft" : "ArrowRight";
+    const back = forward === "ArrowLeft" ? "ArrowRight" : "ArrowLeft";
+    let next;
+    switch (e.key) {
+      case "ArrowDown":
+      case forward:
+        next = (index + 1) % links.length;
+        break;
+      case "ArrowUp":
+      case back:
+        next = (index - 1 + links.length) % links.length;
+        break;
+      case "Home":
+        next = 0;
+        break;
+      case "End":
+        next = links.length - 1;
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+    this.setTabStop(links[next]);
+    links[next].focus();
+  }
+
+  /**
+   * Keep Tab cycling between the toggle and the links' tab stop.
+   * @param {KeyboardEvent} e
+   * @private
+   */
+  trapFocus(e) {
+    const stops = [
+      this.navToggle,
+      this.navLinks().find((link) => link.getAttribute("tabindex") === "0"),
+    ].filter(Boolean);
+    const first = stops[0];
+    const last = stops[stops.length - 1];
+    const active = document.activeElement;
+
+    if (!stops.includes(active)) {
+      e.preventDefault();
+      first.focus();
+    } else if (e.shiftKey && active === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && active === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  /**
+   * Whether the nav is showing as an open drawer (small screens only).
+   * @returns {boolean}
+   * @private
+   */
+  isDrawerOpen() {
+    return (
+      Boolean(this.navToggle) &&
+      this.navToggle.getAttribute("aria-expanded") === "true" &&
+      window.innerWidth < DRAWER_BREAKPOINT
+    );
+  }
+
+  /**
+   * Make the closed drawer's links unreachable on small screens.
+   * @private
+   */
+  syncDrawerInert() {
+    const closed = this.navToggle.getAttribute("aria-expanded") !== "true";
+    this.navList.toggleAttribute(
+      "inert",
+      closed && window.innerWidth < DRAWER_BREAKPOINT
+    );
+  }
+
+  /**
+   * Mark (or unmark) everything outside the nav as inert.
+   * @param {boolean} inert
+   * @private
+   */
+  setBackgroundInert(inert) {
+    this.inertElements.forEach((el) => el.removeAttribute("inert"));
+    this.inertElements = [];
+    if (!inert) return;
+
+    // Siblings of the nav and of each of its ancestors, up to <body>
+    for (
+      let node = this.navElement();
+      node && node.parentElement && node !== document.body;
+      node = node.parentElement
+    ) {
+      Array.from(node.parentElement.children).forEach((sibling) => {
+        if (
+          sibling === node ||
+          sibling.hasAttribute("inert") ||
+          sibling.tagName === "SCRIPT"
+        )
+          return;
+        sibling.setAttribute("inert", "");
+        this.inertElements.push(sibling);
+      });
+    }
   }
 
   /**
@@ -166,7 +862,10 @@ export class Navigation {
    */
   setNavExpanded(expanded, silent = false) {
     if (!this.navToggle || !this.navList) return;
+    const wasExpanded = this.navToggle.getAttribute("aria-expanded") === "true";
+    const active = document.activeElement;
     this.navToggle.setAttribute("aria-expanded", String(expanded));
+    this.syncDrawerInert();
     if (expanded) {
       this.navList.classList.add("open");
       if (silent) this.navList.style.transition = "none";
@@ -174,9 +873,22 @@ export class Navigation {
       requestAnimationFrame(() => {
         this.navList.style.transition = "";
       });
+      if (!wasExpanded) {
+        this.setBackgroundInert(this.isDrawerOpen());
+        const first = this.navLinks()[0];
+        this.setTabStop(first);
+        first?.focus({ preventScroll: true });
+      }
     } else {
       this.navList.classList.remove("open");
       this.navList.style.transition = "";
+      if (wasExpanded) {
+        this.setBackgroundInert(false);
+        // Don't leave focus in the closed drawer (or nowhere)
+        const lostFocus =
+          this.navList.contains(active) || active === document.body;
+        if (lostFocus && !silent) this.navToggle.focus({ preventScroll: true });
+      }
     }
   }
 
@@ -193,11 +905,18 @@ export class Navigation {
       this.sectionObserver.disconnect();
       this.sectionObserver = null;
     }
-    // Remove link click handlers
-    this.linkHandlers.forEach(({ link, handler }) => {
-      link.removeEventListener("click", handler);
-    });
-    this.linkHandlers = [];
+    window.removeEventListener("scroll", this.scrollHandler);
+    window.removeEventListener("resize", this.spyResizeHandler);
+    if (this.spyFrame !== null) cancelAnimationFrame(this.spyFrame);
+    window.removeEventListener("popstate", this.popStateHandler);
+    window.removeEventListener("hashchange", this.routeChangeHandler);
+    window.removeEventListener("route:change", this.routeChangeHandler);
+    this.stopScrollWatch?.();
+
+    this.sectionMutationObserver?.disconnect();
+    this.sectionMutationObserver = null;
+    this.progressBar?.remove();
+    this.progressBar = null;
 
     // Remove nav toggle related listeners
     if (this.navToggle && this.navToggleHandler) {
@@ -212,5 +931,24 @@ export class Navigation {
     if (this.resizeHandler) {
       window.removeEventListener("resize", this.resizeHandler);
     }
+
+    // Remove the keyboard model and drawer state
+    if (this.navList) {
+      this.navElement().removeEventListener("keydown", this.navKeydownHandler);
+      this.navList.removeEventListener("focusin", this.navFocusHandler);
+      this.navList.removeEventListener("click", this.navClickHandler);
+      this.navList.removeAttribute("inert");
+      this.navLinks().forEach((link) => {
+        link.classList.remove("active");
+        link.removeAttribute("aria-current");
+        link.removeAttribute("tabindex");
+        link.style.removeProperty("--progress");
+      });
+      if (this.originalLinks) {
+        this.navList.replaceChildren(...this.originalLinks);
+        this.originalLinks = null;
+      }
+    }
+    this.setBackgroundInert(false);
   }
 }
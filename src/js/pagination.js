@@ -0,0 +1,298 @@
+import { t, formatNumber } from "./i18n.js";
+import { html, toHtmlString } from "./safeHtml.js";
+
+/** Page buttons shown on each side of the current page in "pages" mode. */
+const PAGE_SIBLINGS = 1;
+
+/**
+ * The page numbers to show as buttons: the first and last pages, and the current
+ * page with its siblings; null marks a gap. A gap of a single page shows that
+ * page instead. E.g., page 5 of 10: [1, null, 4, 5, 6, null, 10].
+ * @param {number} page
+ * @param {number} pageCount
+ * @param {number} [siblings=PAGE_SIBLINGS]
+ * @returns {Array<number|null>}
+ */
+const pageWindow = (page, pageCount, siblings = PAGE_SIBLINGS) => {
+  const from = Math.max(2, page - siblings);
+  const to = Math.min(pageCount - 1, page + siblings);
+  const pages = [1];
+  if (from > 3) pages.push(null);
+  else for (let p = 2; p < from; p++) pages.push(p);
+  for (let p = from; p <= to; p++) pages.push(p);
+  if (to < pageCount - 2) pages.push(null);
+  else for (let p = Math.max(to + 1, 2); p < pageCount; p++) pages.push(p);
+  if (pageCount > 1) pages.push(pageCount);
+  return pages;
+};
+
+/**
+ * Pagination Component
+ *
+ * Renders paging controls for a list and reports page changes back to its owner.
+ * The owner keeps the page state and rendering; this class only builds the
+ * controls, a "Showing X of Y" status, and a polite live region for screen readers.
+ *
+ * Supported modes:
+ *   - "pages":     numbered page buttons with Previous/Next (one page at a time);
+ *                  long runs of pages collapse into an ellipsis
+ *   - "load-more": a "Load more" button that appends the next page
+ *   - "infinite":  an IntersectionObserver sentinel that appends the next page
+ *                  when scrolled into view (falls back to "load-more" without IO)
+ *
+ * Usage:
+ *   const pagination = new Pagination(host, {
+ *     mode: "load-more",
+ *     onPageChange: (page) => { ... },
+ *   });
+ *   pagination.update({ page: 1, perPage: 10, total: 42 });
+ *   // ... later, to clean up:
+ *   pagination.destroy();
+ */
+export class Pagination {
+  /**
+   * @param {HTMLElement} host - Element the controls are appended to.
+   * @param {Object} [options]
+   * @param {"pages"|"load-more"|"infinite"} [options.mode="load-more"]
+   * @param {(page: number) => void} [options.onPageChange] - Called when the user requests a page.
+   * @param {string|(() => string)} [options.itemLabel] - Plural noun used in the status text
+   *   (a function is called on each update, e.g. to translate it). Defaults to "items".
+   * @param {string} [options.rootMargin="200px"] - How early the infinite-scroll sentinel triggers.
+   */
+  constructor(host, options = {}) {
+    /** @private */
+    this.host = host;
+    /** @private */
+    this.mode = Pagination.MODES.includes(options.mode)
+      ? options.mode
+      : "load-more";
+    if (this.mode === "infinite" && typeof IntersectionObserver !== "function")
+      this.mode = "load-more";
+    /** @private */
+    this.onPageChange = options.onPageChange || (() => {});
+    /** @private */
+    this.itemLabel = options.itemLabel || (() => t("pagination.items"));
+    /** @private */
+    this.rootMargin = options.rootMargin || "200px";
+
+    /** @private */
+    this.state = { page: 1, perPage: 10, total: 0 };
+    /** @private {IntersectionObserver|null} */
+    this.observer = null;
+
+    this.onClick = this.onClick.bind(this);
+    this.onSentinelIntersect = this.onSentinelIntersect.bind(this);
+
+    this.build();
+  }
+
+  /**
+   * Create the controls, status and live region elements.
+   * @private
+   */
+  build() {
+    this.root = document.createElement("nav");
+    this.root.className = `pagination pagination--${this.mode}`;
+    this.root.setAttribute("data-i18n-attr", "aria-label:pagination.label");
+    this.root.setAttribute("aria-label", t("pagination.label"));
+
+    this.status = document.createElement("p");
+    this.status.className = "pagination-status";
+
+    this.controls = document.createElement("div");
+    this.controls.className = "pagination-controls";
+
+    // Visually hidden live region for announcing newly loaded results
+    this.liveRegion = document.createElement("div");
+    this.liveRegion.className = "visually-hidden";
+    this.liveRegion.setAttribute("aria-live", "polite");
+    this.liveRegion.setAttribute("aria-atomic", "true");
+
+    this.root.append(this.status, this.controls, this.liveRegion);
+    this.host.appendChild(this.root);
+    this.root.addEventListener("click", this.onClick);
+
+    if (this.mode === "infinite") {
+      this.sentinel = document.createElement("div");
+      this.sentinel.className = "pagination-sentinel";
+      this.sentinel.setAttribute("aria-hidden", "true");
+      this.root.appendChild(this.sentinel);
+      this.observer = new IntersectionObserver(this.onSentinelIntersect, {
+        rootMargin: this.rootMargin,
+      });
+      this.observer.observe(this.sentinel);
+    }
+  }
+
+  /**
+   * Total number of pages for the current state.
+   * @returns {number}
+   */
+  get pageCount() {
+    return Math.max(1, Math.ceil(this.state.total / this.state.perPage));
+  }
+
+  /**
+   * Whether items accumulate across pages ("load-more"/"infinite")
+   * rather than being shown one page at a time ("pages").
+   * @returns {boolean}
+   */
+  get isCumulative() {
+    return this.mode !== "pages";
+  }
+
+  /**
+   * Index range [start, end) of the items visible for a page.
+   * @param {number} page
+   * @param {number} perPage
+   * @returns {{start: number, end: number}}
+   */
+  range(page, perPage) {
+    const end = page * perPage;
+    return { start: this.isCumulative ? 0 : end - perPage, end };
+  }
+
+  /**
+   * Update controls and status for a new page/total.
+   * @param {{page: number, perPage: number, total: number}} state
+   */
+  update({ page, perPage, total }) {
+    this.state = { page, perPage, total };
+    const { start, end } = this.range(page, perPage);
+    const shown = Math.max(0, Math.min(end, total) - start);
+
+    const items =
+      typeof this.itemLabel === "function" ? this.itemLabel() : this.itemLabel;
+
+    this.root.hidden = total === 0;
+    this.status.textContent =
+      this.mode === "pages" && total > 0
+        ? t("pagination.range", {
+            start: start + 1,
+            end: start + shown,
+            total,
+            items,
+          })
+        : t("pagination.count", { shown, total, items });
+
+    this.renderControls();
+  }
+
+  /**
+   * Announce a message to screen readers via the live region.
+   * @param {string} message
+   */
+  announce(message) {
+    // Clear first so repeating the same message is still announced
+    this.liveRegion.textContent = "";
+    window.setTimeout(() => {
+      this.liveRegion.textContent = message;
+    }, 50);
+  }
+
+  /**
+   * Render the mode-specific controls.
+   * @private
+   */
+  renderControls() {
+    const { page } = this.state;
+    const pageCount = this.pageCount;
+    const hasMore = page < pageCount;
+
+    if (this.mode === "pages") {
+      this.controls.innerHTML = toHtmlString(html`
+        <button
+          type="button"
+          class="pagination-prev"
+          data-page="${page - 1}"
+          ${page <= 1 ? html`disabled` : ""}
+        >
+          ${t("pagination.previous")}
+        </button>
+        ${pageWindow(page, pageCount).map((p) =>
+          p === null
+            ? html`<span class="pagination-ellipsis" aria-hidden="true"
+                >…</span
+              >`
+            : html`<button
+                type="button"
+                class="pagination-page"
+                data-page="${p}"
+                aria-label="${t("pagination.page", { page: p })}"
+                ${p === page ? html`aria-current="page"` : ""}
+              >
+                ${formatNumber(p)}
+              </button>`
+        )}
+        <button
+          type="button"
+          class="pagination-next"
+          data-page="${page + 1}"
+          ${hasMore ? "" : html`disabled`}
+        >
+          ${t("pagination.next")}
+        </button>
+      `);
+      this.controls.hidden = pageCount <= 1;
+      return;
+    }
+
+    // "load-more" and "infinite" both show a button; for infinite scroll it is
+    // a keyboard/assistive-tech fallback to the sentinel.
+    this.controls.innerHTML = toHtmlString(
+      hasMore
+        ? html`<button
+            type="button"
+            class="pagination-more"
+            data-page="${page + 1}"
+          >
+            ${t("pagination.loadMore")}
+          </button>`
+        : ""
+    );
+    this.controls.hidden = !hasMore;
+    if (this.sentinel) {
+      this.sentinel.hidden = !hasMore;
+      // Re-observe so a sentinel that is still in view after loading fires again
+      this.observer.unobserve(this.sentinel);
+      if (hasMore) this.observer.observe(this.sentinel);
+    }
+  }
+
+  /**
+   * Handle clicks on any pagination button.
+   * @param {MouseEvent} e
+   * @private
+   */
+  onClick(e) {
+    const button = e.target.closest?.("button[data-page]");
+    if (!button || button.disabled) return;
+    const page = parseInt(button.dataset.page, 10);
+    if (page >= 1 && page <= this.pageCount && page !== this.state.page)
+      this.onPageChange(page);
+  }
+
+  /**
+   * Load the next page when the infinite-scroll sentinel comes into view.
+   * @param {IntersectionObserverEntry[]} entries
+   * @private
+   */
+  onSentinelIntersect(entries) {
+    if (!entries.some((entry) => entry.isIntersecting)) return;
+    if (this.state.page < this.pageCount)
+      this.onPageChange(this.state.page + 1);
+  }
+
+  /**
+   * Remove the controls, listeners and observer.
+   */
+  destroy() {
+    this.observer?.disconnect();
+    this.observer = null;
+    this.root.removeEventListener("click", this.onClick);
+    this.root.remove();
+  }
+}
+
+/** Supported pagination modes. */
+Pagination.MODES = ["pages", "load-more", "infinite"];
@@ -0,0 +1,421 @@
+import { DragDrop } from "./dragDrop.js";
+import { blogRoute } from "./blogDetail.js";
+import { html, toHtmlString } from "./safeHtml.js";
+import { t, translate } from "./i18n.js";
+
+/** Lists shown when none are passed in; their labels are message keys (see i18n.js). */
+const DEFAULT_LISTS = [
+  { id: "later", labelKey: "readingList.later" },
+  { id: "favorites", labelKey: "readingList.favorites" },
+];
+
+let instanceCount = 0;
+
+/**
+ * Parse an HTML string into a single element.
+ * @param {string} markup
+ * @returns {Element}
+ */
+const createNode = (markup) => {
+  const template = document.createElement("template");
+  template.innerHTML = markup.trim();
+  return template.content.firstElementChild;
+};
+
+/**
+ * ReadingList Component
+ *
+ * Named reading lists ("Read later", "Favorites") that blog posts are saved to by
+ * dragging their cards onto a list, by pointer or keyboard. It's built on DragDrop:
+ * the blog list is a copy source, so the card stays where it is and a compact entry
+ * (title and reading time) is dropped instead. Cards and entries are dragged by
+ * their `.drag-handle` (see BlogList's `dragHandle` option), so their links keep
+ * working and their text stays selectable. Entries can be reordered, moved
+ * between lists and removed with their × button, and the lists are persisted in
+ * localStorage. A post is saved at most once per list.
+ *
+ * After every change a bubbling `readinglist:change` event is dispatched from the
+ * element with `detail: { lists }` (see the `lists` getter), e.g. so BlogList can
+ * re-render its "Saved" badges (see its `isSaved` option).
+ *
+ * Its text is marked up for translate() (see i18n.js), so translating the page
+ * after a `locale:change` updates the lists too.
+ *
+ * Usage:
+ *   const readingList = new ReadingList(element, { getPost: (id) => post });
+ *   readingList.init();
+ *   readingList.has(postId);
+ *   // ... later, to clean up:
+ *   readingList.destroy();
+ */
+export class ReadingList {
+  /**
+   * @param {HTMLElement} element - Element the lists are rendered into (into its
+   *   `.reading-list-lists` child, if it has one).
+   * @param {Object} [options]
+   * @param {string} [options.source=".blog-list-content"] - Selector for the container of blog cards.
+   * @param {string} [options.scope] - Selector for an element containing both the cards and the
+   *   lists. Defaults to the element's closest `section`, else the document.
+   * @param {Array<{id: string, label?: string, labelKey?: string}>} [options.lists] - The named
+   *   lists, each with a label or the message key of one.
+   * @param {(id: string) => Object|null} [options.getPost] - Look up a post (`{ title, reading_time }`)
+   *   by id. Defaults to reading the card's `.blog-title` and `.blog-reading-time`.
+   * @param {string} [options.storageKey="reading_list_v1"] - localStorage key to persist the lists under.
+   */
+  constructor(element, options = {}) {
+    this.element = element;
+    /** @private */
+    this.scope =
+      (options.scope && document.querySelector(options.scope)) ||
+      element.closest("section") ||
+      document;
+    /** @private */
+    this.sourceSelector = options.source || ".blog-list-content";
+    /** @private */
+    this.listDefinitions = options.lists || DEFAULT_LISTS;
+    /** @private */
+    this.getPost = options.getPost || null;
+    /** @private */
+    this.storageKey = options.storageKey || "reading_list_v1";
+    /** @private */
+    this.prefix = `reading-list-${++instanceCount}`;
+    /** @private {DragDrop|null} */
+    this.dragDrop = null;
+    /** @private {HTMLElement|null} */
+    this.source = null;
+
+    this.onClick = this.onClick.bind(this);
+    this.onChange = this.onChange.bind(this);
+  }
+
+  /**
+   * Render the lists (with any saved entries) and make the cards draggable onto them.
+   */
+  init() {
+    this.render(this.readStoredLists());
+
+    this.source = this.scope.querySelector(this.sourceSelector);
+    this.source?.setAttribute("data-drop-effect", "copy");
+
+    this.dragDrop = new DragDrop(this.scope, {
+      selectors: {
+        item: ".blog-item, .reading-list-entry",
+        list: this.sourceSelector,
+        zone: ".reading-list-zone",
+        label: ".blog-title, .reading-list-title",
+      },
+      handleOnly: true,
+      copyItem: (card) => this.createEntry(this.postFor(card)),
+      onBeforeDrop: (detail) => !this.isDuplicate(detail),
+    });
+    this.dragDrop.init();
+
+    this.element.addEventListener("click", this.onClick);
+    this.scope.addEventListener("dragdrop:change", this.onChange);
+    this.updateCounts();
+  }
+
+  /**
+   * The saved entries by list id.
+   * @returns {Object<string, Array<{id: string, title: string, readingTime: number|null}>>}
+   */
+  get lists() {
+    const lists = {};
+    this.zones().forEach((zone) => {
+      lists[zone.dataset.listId] = this.entriesIn(zone).map((entry) => ({
+        id: entry.dataset.postId,
+        title: entry.querySelector(".reading-list-title").textContent.trim(),
+        readingTime:
+          entry.dataset.readingTime === ""
+            ? null
+            : Number(entry.dataset.readingTime),
+      }));
+    });
+    return lists;
+  }
+
+  /**
+   * Whether a post is saved to any list.
+   * @param {string|number} postId
+   * @returns {boolean}
+   */
+  has(postId) {
+    return this.zones().some((zone) =>
+      this.entriesIn(zone).some(
+        (entry) => entry.dataset.postId === String(postId)
+      )
+    );
+  }
+
+  /**
+   * Render the (empty) lists, then fill them with saved entries.
+   * @param {Object<string, Array<Object>>} saved - As returned by the `lists` getter
+   * @private
+   */
+  render(saved) {
+    const host =
+      this.element.querySelector(".reading-list-lists") || this.element;
+    host.innerHTML = toHtmlString(
+      this.listDefinitions.map(
+        ({ id, label, labelKey }) => html`
+          <div class="reading-list-group">
+            <h4
+              class="reading-list-heading"
+              id="${this.prefix}-${id}"
+              tabindex="-1"
+            >
+              <span data-i18n="${labelKey || ""}">${label || ""}</span>
+              <span class="reading-list-count"></span>
+            </h4>
+            <div
+              class="reading-list-zone"
+              role="group"
+              aria-labelledby="${this.prefix}-${id}"
+              data-list-id="${id}"
+              data-container-id="reading-${id}"
+              data-label="${label || ""}"
+              data-i18n-attr="data-empty:readingList.empty${labelKey
+                ? `; data-label:${labelKey}`
+                : ""}"
+            ></div>
+          </div>
+        `
+      )
+    );
+    translate(host);
+    this.zones().forEach((zone) => {
+      const entries = saved[zone.dataset.listId];
+      if (!Array.isArray(entries)) return;
+      entries.forEach((post) =>
+        zone.appendChild(
+          this.createEntry({
+            id: post.id,
+            title: post.title,
+            reading_time: post.readingTime,
+          })
+        )
+      );
+    });
+  }
+
+  /**
+   * Build a saved entry for a post.
+   * @param {{id: string, title: string, reading_time: number|null}} post
+   * @returns {Element}
+   * @private
+   */
+  createEntry(post) {
+    const readingTime = Number.isFinite(post.reading_time)
+      ? post.reading_time
+      : null;
+    const entry = createNode(
+      toHtmlString(html`
+        <div
+          class="reading-list-entry"
+          data-id="${this.entryId(post.id)}"
+          data-post-id="${post.id}"
+          data-reading-time="${readingTime ?? ""}"
+        >
+          <span
+            class="drag-handle"
+            data-i18n-attr="aria-label:readingList.move"
+            data-i18n-params="${JSON.stringify({ title: post.title })}"
+            >⋮</span
+          >
+          <a class="reading-list-title" href="${blogRoute(post.id)}"
+            >${post.title}</a
+          >
+          ${readingTime !== null
+            ? html`<span
+                class="reading-list-time"
+                data-i18n="common.readingTime"
+                data-i18n-params="${JSON.stringify({ count: readingTime })}"
+              ></span>`
+            : ""}
+          <button
+            type="button"
+            class="reading-list-remove"
+            data-i18n-attr="aria-label:readingList.remove"
+            data-i18n-params="${JSON.stringify({ title: post.title })}"
+          >
+            ×
+          </button>
+        </div>
+      `)
+    );
+    translate(entry);
+    return entry;
+  }
+
+  /**
+   * A `data-id` for a new entry that no other entry uses.
+   * @param {string} postId
+   * @returns {string}
+   * @private
+   */
+  entryId(postId) {
+    const taken = new Set(
+      Array.from(this.element.querySelectorAll(".reading-list-entry")).map(
+        (entry) => entry.dataset.id
+      )
+    );
+    let id = `saved-${postId}`;
+    for (let n = 2; taken.has(id); n++) id = `saved-${postId}-${n}`;
+    return id;
+  }
+
+  /**
+   * The post behind a blog card.
+   * @param {Element} card
+   * @returns {{id: string, title: string, reading_time: number|null}}
+   * @private
+   */
+  postFor(card) {
+    const id = card.dataset.id;
+    const post = this.getPost?.(id);
+    if (post) return { ...post, id };
+    const time = card.querySelector(".blog-reading-time");
+    return {
+      id,
+      title: card.querySelector(".blog-title")?.textContent.trim() || id,
+      reading_time: time ? parseInt(time.textContent, 10) : null,
+    };
+  }
+
+  /**
+   * Whether a drop would put a post into a list that already has it.
+   * @param {{items: Element[], to: Element}} detail
+   * @returns {boolean}
+   * @private
+   */
+  isDuplicate({ items, to }) {
+    const existing = this.entriesIn(to)
+      .filter((entry) => !items.includes(entry))
+      .map((entry) => entry.dataset.postId);
+    return items.some((item) => existing.includes(item.dataset.postId));
+  }
+
+  /**
+   * The list containers.
+   * @returns {Element[]}
+   * @private
+   */
+  zones() {
+    return Array.from(this.element.querySelectorAll(".reading-list-zone"));
+  }
+
+  /**
+   * The entries in a list, in order.
+   * @param {Element} zone
+   * @returns {Element[]}
+   * @private
+   */
+  entriesIn(zone) {
+    return Array.from(zone.children).filter((el) =>
+      el.classList.contains("reading-list-entry")
+    );
+  }
+
+  /**
+   * Remove an entry when its × button is used.
+   * @param {MouseEvent} e
+   * @private
+   */
+  onClick(e) {
+    const button = e.target.closest?.(".reading-list-remove");
+    if (!button) return;
+    const entry = button.closest(".reading-list-entry");
+    const zone = entry.parentElement;
+    const title = entry.querySelector(".reading-list-title").textContent.trim();
+
+    // Keep focus in the list: the next entry's handle, else the previous one's, else the heading
+    const entries = this.entriesIn(zone);
+    const index = entries.indexOf(entry);
+    const next =
+      (entries[index + 1] || entries[index - 1])?.querySelector(
+        ".drag-handle"
+      ) || zone.parentElement.querySelector(".reading-list-heading");
+
+    this.dragDrop.removeItem(entry);
+    next?.focus({ preventScroll: true });
+    this.dragDrop.announce(
+      t("readingList.removed", { title, list: zone.dataset.label })
+    );
+  }
+
+  /**
+   * The board changed (entry saved, moved or removed): persist and notify.
+   * @param {CustomEvent} e
+   * @private
+   */
+  onChange(e) {
+    // Ignore boards nested inside the scope
+    if (e.target !== this.scope) return;
+    const lists = this.lists;
+    this.saveLists(lists);
+    this.updateCounts();
+    this.element.dispatchEvent(
+      new CustomEvent("readinglist:change", {
+        bubbles: true,
+        detail: { lists },
+      })
+    );
+  }
+
+  /**
+   * Show each list's entry count in its heading.
+   * @private
+   */
+  updateCounts() {
+    this.zones().forEach((zone) => {
+      const count = zone.parentElement.querySelector(".reading-list-count");
+      if (count) count.textContent = `(${this.entriesIn(zone).length})`;
+    });
+  }
+
+  /**
+   * Read the persisted lists (ignores storage errors).
+   * @returns {Object<string, Array<Object>>}
+   * @private
+   */
+  readStoredLists() {
+    try {
+      const parsed = JSON.parse(localStorage.getItem(this.storageKey));
+      if (parsed && typeof parsed.lists === "object" && parsed.lists)
+        return parsed.lists;
+    } catch (_) {
+      // Ignore storage errors and start with empty lists
+    }
+    return {};
+  }
+
+  /**
+   * Persist the lists (ignores storage errors).
+   * @param {Object<string, Array<Object>>} lists
+   * @private
+   */
+  saveLists(lists) {
+    try {
+      localStorage.setItem(
+        this.storageKey,
+        JSON.stringify({ version: 1, lists })
+      );
+    } catch (_) {
+      // Ignore storage errors (quota, private mode)
+    }
+  }
+
+  /**
+   * Remove listeners, the drag-and-drop board and the rendered lists.
+   */
+  destroy() {
+    this.element.removeEventListener("click", this.onClick);
+    this.scope.removeEventListener("dragdrop:change", this.onChange);
+    this.dragDrop?.destroy();
+    this.dragDrop = null;
+    this.source?.removeAttribute("data-drop-effect");
+    const host =
+      this.element.querySelector(".reading-list-lists") || this.element;
+    host.innerHTML = "";
+  }
+}
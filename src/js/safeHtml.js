@@ -0,0 +1,209 @@
+/**
+ * Escape-by-default HTML rendering helpers.
+ *
+ * Everything interpolated into an `html` template is escaped unless it is already
+ * a SafeHtml value (produced by `html` itself or by `sanitizeHtml`), so feed data
+ * can never inject markup by accident:
+ *
+ *   html`<h3>${item.title}</h3>`                 // title is escaped
+ *   html`<ul>${tags.map((t) => html`<li>${t}</li>`)}</ul>` // arrays are joined
+ *   html`<div>${sanitizeHtml(item.content)}</div>` // allowlisted rich text
+ *   html`<img src="${safeUrl(item.image)}" />`   // only safe URL schemes
+ *
+ * `toHtmlString()` converts a template result to a string for innerHTML; plain
+ * strings are escaped there too, so a custom template that forgets the `html`
+ * tag shows text rather than executing markup.
+ */
+
+/**
+ * A string of HTML that is known to be safe to insert.
+ * Only created by `html` and `sanitizeHtml`; never construct one from feed data.
+ */
+export class SafeHtml {
+  /**
+   * @param {string} value
+   * @private
+   */
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+const ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+  "`": "&#96;",
+};
+
+/**
+ * Escape a value for use in HTML text or a quoted attribute.
+ * null/undefined/false become "".
+ * @param {*} value
+ * @returns {string}
+ */
+export const escapeHtml = (value) =>
+  value === null || value === undefined || value === false
+    ? ""
+    : value.toString().replace(/[&<>"'`]/g, (ch) => ESCAPES[ch]);
+
+/**
+ * Convert an interpolated value to HTML: SafeHtml as-is, arrays joined, everything else escaped.
+ * @param {*} value
+ * @returns {string}
+ */
+const interpolate = (value) => {
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(interpolate).join("");
+  return escapeHtml(value);
+};
+
+/**
+ * Tagged template that escapes every interpolated value unless it is SafeHtml.
+ * @param {TemplateStringsArray} strings
+ * @param {...*} values
+ * @returns {SafeHtml}
+ */
+export const html = (strings, ...values) =>
+  new SafeHtml(
+    strings.reduce(
+      (out, str, i) =>
+        out + str + (i < values.length ? interpolate(values[i]) : ""),
+      ""
+    )
+  );
+
+/**
+ * Convert a template result to an HTML string, escaping anything that isn't SafeHtml.
+ * @param {*} value
+ * @returns {string}
+ */
+export const toHtmlString = (value) => interpolate(value);
+
+/** URL schemes allowed by default in src/href attributes. */
+const SAFE_SCHEMES = ["http:", "https:"];
+
+/** data: URLs allowed for images (no SVG, which can carry script). */
+const SAFE_DATA_IMAGE =
+  /^data:image\/(png|jpe?g|gif|webp|avif);base64,[a-z0-9+/=\s]+$/i;
+
+/**
+ * Return the URL if it uses a safe scheme, else "".
+ * Relative URLs resolve against the page and are allowed.
+ * @param {*} url
+ * @param {Object} [options]
+ * @param {string[]} [options.schemes=["http:", "https:"]] - Allowed schemes
+ * @param {boolean} [options.allowDataImages=false] - Also allow base64 raster data: URLs
+ * @returns {string}
+ */
+export const safeUrl = (
+  url,
+  { schemes = SAFE_SCHEMES, allowDataImages = false } = {}
+) => {
+  const value = (url ?? "").toString().trim();
+  if (!value) return "";
+  if (allowDataImages && SAFE_DATA_IMAGE.test(value)) return value;
+  try {
+    const { protocol } = new URL(value, document.baseURI);
+    return schemes.includes(protocol) ? value : "";
+  } catch (_) {
+    return "";
+  }
+};
+
+/**
+ * Default rich-text allowlist: tag -> allowed attributes.
+ * Tags not listed are unwrapped (their text is kept); DROP_TAGS are removed entirely.
+ */
+export const DEFAULT_ALLOWLIST = {
+  a: ["href", "title"],
+  b: [],
+  blockquote: [],
+  br: [],
+  code: [],
+  em: [],
+  h4: [],
+  h5: [],
+  h6: [],
+  i: [],
+  li: [],
+  ol: [],
+  p: [],
+  pre: [],
+  s: [],
+  strong: [],
+  u: [],
+  ul: [],
+};
+
+/** Elements removed together with their content. */
+const DROP_TAGS = new Set([
+  "script",
+  "style",
+  "template",
+  "iframe",
+  "object",
+  "embed",
+  "noscript",
+  "svg",
+  "math",
+]);
+
+/** Attributes whose value is a URL and must pass safeUrl(). */
+const URL_ATTRIBUTES = new Set(["href", "src"]);
+
+/**
+ * Sanitize untrusted HTML against an allowlist.
+ * - Allowed tags keep only their allowed attributes; URL attributes must be safe.
+ * - Links are forced to rel="noopener noreferrer".
+ * - Unknown tags are unwrapped; script-like tags are dropped with their content.
+ * - Comments are removed.
+ * @param {*} input
+ * @param {Object} [options]
+ * @param {Object<string, string[]>} [options.allowlist=DEFAULT_ALLOWLIST]
+ * @param {(text: string) => SafeHtml|string} [options.mapText] - Render each text node
+ *   (e.g., to add highlighting). Plain strings returned are escaped.
+ * @returns {SafeHtml}
+ */
+export const sanitizeHtml = (
+  input,
+  { allowlist = DEFAULT_ALLOWLIST, mapText = (text) => text } = {}
+) => {
+  // <template> content is inert: scripts don't run and images don't load while parsing
+  const template = document.createElement("template");
+  template.innerHTML = (input ?? "").toString();
+
+  const walk = (node) => {
+    if (node.nodeType === Node.TEXT_NODE)
+      return toHtmlString(mapText(node.data));
+    if (node.nodeType !== Node.ELEMENT_NODE) return "";
+
+    const tag = node.localName;
+    if (DROP_TAGS.has(tag)) return "";
+    const children = Array.from(node.childNodes).map(walk).join("");
+    if (!Object.prototype.hasOwnProperty.call(allowlist, tag)) return children;
+
+    const attrs = allowlist[tag]
+      .map((name) => {
+        if (!node.hasAttribute(name)) return "";
+        let value = node.getAttribute(name);
+        if (URL_ATTRIBUTES.has(name)) value = safeUrl(value);
+        return value ? ` ${name}="${escapeHtml(value)}"` : "";
+      })
+      .join("");
+    const rel = tag === "a" ? ' rel="noopener noreferrer"' : "";
+    return tag === "br"
+      ? `<br${attrs}>`
+      : `<${tag}${attrs}${rel}>${children}</${tag}>`;
+  };
+
+  return new SafeHtml(
+    Array.from(template.content.childNodes).map(walk).join("")
+  );
+};
@@ -0,0 +1,239 @@
+/**
+ * SearchIndex
+ *
+ * A small client-side full-text index for ranking list items against a query.
+ *
+ * - Text is normalized (lowercase, accents stripped) and split into word tokens.
+ * - Each query token matches indexed terms exactly, by prefix, or with a small
+ *   number of typos (edit distance 1 for words of 4+ letters, 2 for 8+).
+ * - Fields are weighted; by default title > tags > author > content.
+ * - Every query token must match for an item to be returned (AND semantics).
+ * - Results are ranked by score, and report which terms matched so callers
+ *   can highlight them with `highlight()`.
+ *
+ * Usage:
+ *   const index = new SearchIndex();
+ *   index.build(items);
+ *   const results = index.search("batery lif"); // [{ item, score, terms }]
+ *   highlight(item.title, results[0].terms);    // [{ text, match }]
+ */
+
+/** Default field weights; higher wins when ranking. */
+const DEFAULT_FIELDS = {
+  title: 4,
+  tags: 3,
+  author: 2,
+  content: 1,
+};
+
+/** Relative score of each kind of match. */
+const MATCH_QUALITY = {
+  exact: 1,
+  prefix: 0.75,
+  fuzzy: 0.5,
+};
+
+/** Word characters: letters and digits in any script. */
+const WORD_RE = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Lowercase text and strip accents (e.g., "Café" -> "cafe").
+ * @param {*} text
+ * @returns {string}
+ */
+export const normalize = (text) =>
+  (text ?? "")
+    .toString()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+
+/**
+ * Split text into normalized word tokens.
+ * @param {*} text
+ * @returns {string[]}
+ */
+export const tokenize = (text) => normalize(text).match(WORD_RE) || [];
+
+/**
+ * Maximum edit distance tolerated for a query token of the given length.
+ * @param {number} length
+ * @returns {number}
+ */
+const maxTypos = (length) => (length >= 8 ? 2 : length >= 4 ? 1 : 0);
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent swaps),
+ * giving up early once it exceeds `max`.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max
+ * @returns {number} The distance, or max + 1 if it exceeds max.
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = [];
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d = Math.min(d, prevPrev[j - 2] + 1);
+      }
+      row.push(d);
+      rowMin = Math.min(rowMin, d);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+};
+
+/**
+ * Split text into segments, marking words whose normalized form is in `terms`.
+ * Non-word characters are kept as-is, so joining the segments' text yields the input.
+ * @param {*} text
+ * @param {Iterable<string>} terms - Normalized terms to mark (e.g., SearchIndex result terms).
+ * @returns {{text: string, match: boolean}[]}
+ */
+export const highlight = (text, terms) => {
+  const source = (text ?? "").toString();
+  const wanted = terms instanceof Set ? terms : new Set(terms || []);
+  if (!source || wanted.size === 0) return [{ text: source, match: false }];
+
+  const segments = [];
+  let last = 0;
+  for (const m of source.matchAll(WORD_RE)) {
+    if (!wanted.has(normalize(m[0]))) continue;
+    if (m.index > last)
+      segments.push({ text: source.slice(last, m.index), match: false });
+    segments.push({ text: m[0], match: true });
+    last = m.index + m[0].length;
+  }
+  if (last < source.length)
+    segments.push({ text: source.slice(last), match: false });
+  return segments;
+};
+
+export class SearchIndex {
+  /**
+   * @param {Object<string, number>} [fields] - Field name -> weight. Array fields (e.g., tags) are joined.
+   */
+  constructor(fields = DEFAULT_FIELDS) {
+    /** @private */
+    this.fields = fields;
+    /** @private {Array<Object>} */
+    this.items = [];
+    /**
+     * term -> (item index -> summed weight of the fields containing the term)
+     * @private {Map<string, Map<number, number>>}
+     */
+    this.postings = new Map();
+  }
+
+  /**
+   * (Re)build the index for a list of items.
+   * @param {Array<Object>} items
+   */
+  build(items) {
+    this.items = Array.isArray(items) ? items : [];
+    this.postings = new Map();
+
+    this.items.forEach((item, idx) => {
+      Object.entries(this.fields).forEach(([field, weight]) => {
+        const value = item?.[field];
+        const text = Array.isArray(value) ? value.join(" ") : value;
+        new Set(tokenize(text)).forEach((term) => {
+          let docs = this.postings.get(term);
+          if (!docs) this.postings.set(term, (docs = new Map()));
+          docs.set(idx, (docs.get(idx) || 0) + weight);
+        });
+      });
+    });
+  }
+
+  /**
+   * Find the indexed terms matching one query token.
+   * @param {string} token - Normalized query token
+   * @returns {Array<{term: string, quality: number}>}
+   * @private
+   */
+  matchTerms(token) {
+    const typos = maxTypos(token.length);
+    const matches = [];
+    this.postings.forEach((_, term) => {
+      if (term === token) {
+        matches.push({ term, quality: MATCH_QUALITY.exact });
+      } else if (token.length >= 2 && term.startsWith(token)) {
+        matches.push({ term, quality: MATCH_QUALITY.prefix });
+      } else if (typos > 0) {
+        // Also compare against the term's prefix, so typos in a partly typed word still match
+        const distance = Math.min(
+          editDistance(token, term, typos),
+          editDistance(token, term.slice(0, token.length), typos)
+        );
+        if (distance <= typos)
+          matches.push({
+            term,
+            quality: MATCH_QUALITY.fuzzy / distance,
+          });
+      }
+    });
+    return matches;
+  }
+
+  /**
+   * Search the index.
+   * @param {string} query
+   * @returns {Array<{item: Object, score: number, terms: Set<string>}>} Ranked best first; ties keep item order.
+   */
+  search(query) {
+    const tokens = [...new Set(tokenize(query))];
+    if (tokens.length === 0) return [];
+
+    /** @type {Map<number, {score: number, terms: Set<string>}>|null} */
+    let hits = null;
+
+    for (const token of tokens) {
+      // Best score this token gives each item, and the terms that matched
+      const tokenHits = new Map();
+      this.matchTerms(token).forEach(({ term, quality }) => {
+        this.postings.get(term).forEach((weight, idx) => {
+          const hit = tokenHits.get(idx) || { score: 0, terms: new Set() };
+          hit.score = Math.max(hit.score, weight * quality);
+          hit.terms.add(term);
+          tokenHits.set(idx, hit);
+        });
+      });
+
+      if (hits === null) {
+        hits = tokenHits;
+      } else {
+        // AND: keep only items matched by every token so far
+        const merged = new Map();
+        hits.forEach((hit, idx) => {
+          const next = tokenHits.get(idx);
+          if (!next) return;
+          merged.set(idx, {
+            score: hit.score + next.score,
+            terms: new Set([...hit.terms, ...next.terms]),
+          });
+        });
+        hits = merged;
+      }
+      if (hits.size === 0) return [];
+    }
+
+    return [...hits.entries()]
+      .sort(([ai, a], [bi, b]) => b.score - a.score || ai - bi)
+      .map(([idx, hit]) => ({
+        item: this.items[idx],
+        score: hit.score,
+        terms: hit.terms,
+      }));
+  }
+}
@@ -0,0 +1,318 @@
+import { t } from "./i18n.js";
+
+/** Built-in themes; "system" follows the OS `prefers-color-scheme` setting. */
+const BUILT_IN_THEMES = [
+  { name: "light", labelKey: "theme.light" },
+  { name: "dark", labelKey: "theme.dark" },
+  { name: "system", labelKey: "theme.system" },
+];
+
+const DARK_QUERY = "(prefers-color-scheme: dark)";
+
+let instanceCount = 0;
+
+/**
+ * Turn a theme property key into a custom property name:
+ * "primaryColor" and "primary-color" both become "--primary-color".
+ * @param {string} key
+ * @returns {string}
+ */
+const toCustomProperty = (key) =>
+  key.startsWith("--")
+    ? key
+    : `--${key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`;
+
+/**
+ * ThemeManager Component
+ *
+ * Light, dark and system themes, plus custom color schemes. The resolved scheme
+ * is set as `data-theme="light|dark"` on <html>, which styles.css uses to swap
+ * its `:root` custom properties; a custom theme starts from one of the two and
+ * overrides individual custom properties inline. The "system" theme follows
+ * `prefers-color-scheme` and updates live when the OS setting changes.
+ *
+ * The choice is persisted in localStorage together with the custom properties
+ * it needs, so the small inline script in index.html's <head> can apply it
+ * before first paint (keep the two in sync).
+ *
+ * The toggle (a <select>) is rendered into the element. After every change a
+ * bubbling `theme:change` event is dispatched from the element with
+ * `detail: { theme, colorScheme, undefinedProperties }`; the last lists the
+ * custom properties the theme sets that styles.css doesn't define (likely typos).
+ *
+ * Custom themes:
+ *   {
+ *     name: "ocean",
+ *     label: "Ocean",
+ *     base: "dark",                     // "light" (default) or "dark"
+ *     properties: {                     // camelCase or "--custom-property" keys
+ *       primaryColor: "#0b3954",
+ *       "--secondary-color": "#1f7a8c",
+ *     },
+ *   }
+ *
+ * Usage:
+ *   const themes = new ThemeManager(element, { themes: [ocean] });
+ *   themes.init();
+ *   themes.setTheme("dark");
+ *   // ... later, to clean up:
+ *   themes.destroy();
+ */
+export class ThemeManager {
+  /**
+   * @param {HTMLElement} element - Element the toggle is rendered into.
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.themes] - Custom themes (see above).
+   * @param {string} [options.defaultTheme="system"] - Theme used when none is saved.
+   * @param {string} [options.storageKey="theme_v1"] - localStorage key to persist the choice under.
+   */
+  constructor(element, options = {}) {
+    this.element = element;
+    /** @private */
+    this.root = document.documentElement;
+    /** @private */
+    this.storageKey = options.storageKey || "theme_v1";
+    /** @private */
+    this.defaultTheme = options.defaultTheme || "system";
+    /** @private {Map<string, Object>} */
+    this.themes = new Map(BUILT_IN_THEMES.map((theme) => [theme.name, theme]));
+    /** @private */
+    this.current = null;
+    /** @private {string[]} Custom properties set inline by the current theme */
+    this.appliedProperties = [];
+    /** @private {MediaQueryList|null} */
+    this.darkQuery =
+      typeof window.matchMedia === "function"
+        ? window.matchMedia(DARK_QUERY)
+        : null;
+    /** @private {HTMLSelectElement|null} */
+    this.select = null;
+
+    (options.themes || []).forEach((theme) => this.registerTheme(theme));
+
+    this.onSelectChange = this.onSelectChange.bind(this);
+    this.onSchemeChange = this.onSchemeChange.bind(this);
+  }
+
+  /**
+   * Render the toggle, apply the saved theme and start following the OS setting.
+   */
+  init() {
+    this.render();
+    this.darkQuery?.addEventListener("change", this.onSchemeChange);
+
+    // The <head> script may already have set the saved theme's properties
+    const saved = this.readStoredTheme();
+    this.appliedProperties = Object.keys(saved?.properties || {});
+    this.setTheme(
+      this.themes.has(saved?.theme) ? saved.theme : this.defaultTheme,
+      { persist: false }
+    );
+  }
+
+  /**
+   * The chosen theme's name ("light", "dark", "system" or a custom theme).
+   * @returns {string|null}
+   */
+  get theme() {
+    return this.current;
+  }
+
+  /**
+   * The color scheme currently in effect.
+   * @returns {"light"|"dark"}
+   */
+  get colorScheme() {
+    return this.resolveScheme(this.themes.get(this.current));
+  }
+
+  /**
+   * Add (or replace) a custom theme. It's offered in the toggle straight away.
+   * @param {{name: string, label?: string, base?: "light"|"dark", properties?: Object<string, string>}} theme
+   */
+  registerTheme(theme) {
+    if (!theme || typeof theme.name !== "string" || !theme.name)
+      throw new TypeError("A theme needs a name.");
+    if (BUILT_IN_THEMES.some((builtIn) => builtIn.name === theme.name))
+      throw new Error(`"${theme.name}" is a built-in theme.`);
+
+    const properties = {};
+    Object.entries(theme.properties || {}).forEach(([key, value]) => {
+      properties[toCustomProperty(key)] = String(value);
+    });
+    this.themes.set(theme.name, {
+      name: theme.name,
+      label: theme.label || theme.name,
+      base: theme.base === "dark" ? "dark" : "light",
+      properties,
+    });
+
+    if (this.select) this.render();
+    if (this.current === theme.name) this.setTheme(theme.name);
+  }
+
+  /**
+   * Switch theme and persist the choice.
+   * @param {string} name
+   * @param {Object} [options]
+   * @param {boolean} [options.persist=true] - Whether to save the choice.
+   * @returns {boolean} Whether the theme exists
+   */
+  setTheme(name, { persist = true } = {}) {
+    const theme = this.themes.get(name);
+    if (!theme) return false;
+    this.current = name;
+    const undefinedProperties = this.apply(theme);
+    if (persist) this.saveTheme(theme);
+    if (this.select) this.select.value = name;
+
+    this.element.dispatchEvent(
+      new CustomEvent("theme:change", {
+        bubbles: true,
+        detail: {
+          theme: name,
+          colorScheme: this.colorScheme,
+          undefinedProperties,
+        },
+      })
+    );
+    return true;
+  }
+
+  /**
+   * Light or dark, for a theme.
+   * @param {Object} [theme]
+   * @returns {"light"|"dark"}
+   * @private
+   */
+  resolveScheme(theme) {
+    if (!theme || theme.name === "system")
+      return this.darkQuery?.matches ? "dark" : "light";
+    return theme.base || theme.name;
+  }
+
+  /**
+   * Set `data-theme` and the theme's custom properties on <html>.
+   * @param {Object} theme
+   * @returns {string[]} The custom properties set that styles.css doesn't define
+   * @private
+   */
+  apply(theme) {
+    this.appliedProperties.forEach((property) =>
+      this.root.style.removeProperty(property)
+    );
+    this.appliedProperties = [];
+
+    this.root.setAttribute("data-theme", this.resolveScheme(theme));
+
+    const defined = getComputedStyle(this.root);
+    const undefinedProperties = [];
+    Object.entries(theme.properties || {}).forEach(([property, value]) => {
+      if (!defined.getPropertyValue(property))
+        undefinedProperties.push(property);
+      this.root.style.setProperty(property, value);
+      this.appliedProperties.push(property);
+    });
+    return undefinedProperties;
+  }
+
+  /**
+   * Render the toggle's options.
+   * @private
+   */
+  render() {
+    if (!this.select) {
+      const id = `theme-select-${++instanceCount}`;
+      const label = document.createElement("label");
+      label.className = "visually-hidden";
+      label.htmlFor = id;
+      label.dataset.i18n = "theme.label";
+      label.textContent = t("theme.label");
+
+      this.select = document.createElement("select");
+      this.select.id = id;
+      this.select.className = "theme-select";
+      this.select.addEventListener("change", this.onSelectChange);
+      this.element.append(label, this.select);
+    }
+
+    this.select.replaceChildren(
+      ...Array.from(this.themes.values(), (theme) => {
+        const option = document.createElement("option");
+        option.value = theme.name;
+        // Built-in labels are marked for translate(), so a locale change updates them
+        if (theme.labelKey) {
+          option.dataset.i18n = theme.labelKey;
+          option.textContent = t(theme.labelKey);
+        } else {
+          option.textContent = theme.label;
+        }
+        return option;
+      })
+    );
+    if (this.current) this.select.value = this.current;
+  }
+
+  /**
+   * The user picked a theme from the toggle.
+   * @private
+   */
+  onSelectChange() {
+    this.setTheme(this.select.value);
+  }
+
+  /**
+   * The OS color scheme changed: re-apply if following it.
+   * @private
+   */
+  onSchemeChange() {
+    if (this.current !== "system") return;
+    this.setTheme("system", { persist: false });
+  }
+
+  /**
+   * Read the persisted choice (ignores storage errors).
+   * @returns {{theme: string, properties?: Object<string, string>}|null}
+   * @private
+   */
+  readStoredTheme() {
+    try {
+      const parsed = JSON.parse(localStorage.getItem(this.storageKey));
+      if (parsed && typeof parsed.theme === "string") return parsed;
+    } catch (_) {
+      // Ignore storage errors and use the default theme
+    }
+    return null;
+  }
+
+  /**
+   * Persist the choice, with what the <head> script needs to apply it before
+   * first paint (ignores storage errors).
+   * @param {Object} theme
+   * @private
+   */
+  saveTheme(theme) {
+    const saved = { version: 1, theme: theme.name };
+    if (theme.base) {
+      saved.base = theme.base;
+      saved.properties = theme.properties;
+    }
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(saved));
+    } catch (_) {
+      // Ignore storage errors (quota, private mode)
+    }
+  }
+
+  /**
+   * Remove the toggle and listeners. The current theme stays applied.
+   */
+  destroy() {
+    this.darkQuery?.removeEventListener("change", this.onSchemeChange);
+    if (this.select) {
+      this.select.removeEventListener("change", this.onSelectChange);
+      this.element.replaceChildren();
+      this.select = null;
+    }
+  }
+}